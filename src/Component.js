@@ -3,6 +3,8 @@
 import { array, core, object } from 'metal';
 import { dom, DomEventEmitterProxy } from 'metal-dom';
 import ComponentRenderer from './ComponentRenderer';
+import ComponentScheduler from './ComponentScheduler';
+import ComponentTransition from './ComponentTransition';
 import { EventHandler } from 'metal-events';
 import State from 'metal-state';
 
@@ -78,6 +80,29 @@ class Component extends State {
 		 */
 		this.components = {};
 
+		/**
+		 * Maps the names of state keys to the computed state keys that depend on
+		 * them.
+		 * @type {!Object<string, !Array<string>>}
+		 * @protected
+		 */
+		this.computedDeps_ = {};
+
+		/**
+		 * The computed state key that is currently being calculated, which is the
+		 * only one that can be written to.
+		 * @type {?string}
+		 * @protected
+		 */
+		this.computingKey_ = null;
+
+		/**
+		 * The keys of the context values read by this component via `getContext`.
+		 * @type {!Object<string, boolean>}
+		 * @protected
+		 */
+		this.contextKeys_ = {};
+
 		/**
 		 * Instance of `DomEventEmitterProxy` which proxies events from the component's
 		 * element to the component itself.
@@ -93,6 +118,21 @@ class Component extends State {
 		 */
 		this.eventsStateKeyHandler_ = new EventHandler();
 
+		/**
+		 * The fallback element that last replaced the component's element after an
+		 * error, if any. See `renderFallback_`.
+		 * @type {Element}
+		 * @protected
+		 */
+		this.fallbackElement_ = null;
+
+		/**
+		 * Whether the component is currently being hydrated, that is, adopting
+		 * markup that already exists in the page instead of rendering its own.
+		 * @type {boolean}
+		 */
+		this.hydrating = false;
+
 		/**
 		 * Whether the element is in document.
 		 * @type {boolean}
@@ -106,6 +146,68 @@ class Component extends State {
 		 */
 		this.initialConfig_ = opt_config || {};
 
+		/**
+		 * The promise returned by `willDetach` that the current call to `detach`
+		 * is waiting for, if any.
+		 * @type {Promise}
+		 * @protected
+		 */
+		this.pendingDetach_ = null;
+
+		/**
+		 * The context values last returned by `provideContext`, or undefined if
+		 * they haven't been requested yet.
+		 * @type {Object|undefined}
+		 * @protected
+		 */
+		this.providedContext_ = undefined;
+
+		/**
+		 * The component that this one was added to as a sub component, if any.
+		 * @type {Component}
+		 * @protected
+		 */
+		this.parent_ = null;
+
+		/**
+		 * The portal this component was added through by its parent, if any. See
+		 * `addSubComponent`.
+		 * @type {?{bubbles: boolean, target: (string|!Element)}}
+		 * @protected
+		 */
+		this.portal_ = null;
+
+		/**
+		 * The nodes that were distributed into each slot point of the component's
+		 * element, keyed by slot name. See `distributeSlots_`.
+		 * @type {!Object<string, !Array<!Node>>}
+		 * @protected
+		 */
+		this.slotNodes_ = {};
+
+		/**
+		 * The refs of the sub components created from the specs in the
+		 * `slotContent` and `namedSlotContent` state keys.
+		 * @type {!Array<string>}
+		 * @protected
+		 */
+		this.slotRefs_ = [];
+
+		/**
+		 * Whether this component has already counted as a user of its class'
+		 * `STYLES`. See `injectStyles_`.
+		 * @type {boolean}
+		 * @protected
+		 */
+		this.stylesInjected_ = false;
+
+		/**
+		 * The enter or leave transition that is currently running, if any.
+		 * @type {ComponentTransition}
+		 * @protected
+		 */
+		this.transition_ = null;
+
 		/**
 		 * Whether the element was rendered.
 		 * @type {boolean}
@@ -116,20 +218,33 @@ class Component extends State {
 		 * The component's element will be appended to the element this variable is
 		 * set to, unless the user specifies another parent when calling `render` or
 		 * `attach`.
-		 * @type {!Element}
+		 * Will be null when there's no document available, like when rendering
+		 * to a string on the server side.
+		 * @type {Element}
 		 */
-		this.DEFAULT_ELEMENT_PARENT = document.body;
+		this.DEFAULT_ELEMENT_PARENT = typeof document === 'undefined' ? null : document.body;
 
+		core.mergeSuperClassesProperty(this.constructor, 'BINDINGS', Component.mergeObjects_);
+		core.mergeSuperClassesProperty(this.constructor, 'BUBBLING_EVENTS', Component.mergeUniqueValues_);
+		core.mergeSuperClassesProperty(this.constructor, 'CONTEXT', Component.mergeUniqueValues_);
+		core.mergeSuperClassesProperty(this.constructor, 'ELEMENT_ATTRIBUTES', Component.mergeObjects_);
 		core.mergeSuperClassesProperty(this.constructor, 'ELEMENT_CLASSES', this.mergeElementClasses_);
+		core.mergeSuperClassesProperty(this.constructor, 'STYLES', Component.mergeStyles_);
+		core.mergeSuperClassesProperty(this.constructor, 'STYLES_SCOPED', array.firstDefinedValue);
 		core.mergeSuperClassesProperty(this.constructor, 'SYNC_UPDATES', array.firstDefinedValue);
+		core.mergeSuperClassesProperty(this.constructor, 'TRANSITION', array.firstDefinedValue);
 
 		this.renderer_ = this.createRenderer();
 		this.renderer_.on('rendered', this.rendered.bind(this));
+		this.renderer_.on('rendered', this.distributeSlots_.bind(this));
+		this.renderer_.on('rendered', this.syncBindings_.bind(this));
 
+		this.setUpComputedState_();
 		this.on('stateChanged', this.handleStateChanged_);
 		this.newListenerHandle_ = this.on('newListener', this.handleNewListener_);
 		this.on('eventsChanged', this.onEventsChanged_);
 		this.addListenersFromObj_(this.events);
+		this.addBindingListeners_();
 
 		this.created();
 		if (opt_parentElement !== false) {
@@ -138,15 +253,26 @@ class Component extends State {
 		this.on('elementChanged', this.onElementChanged_);
 	}
 
+	/**
+	 * Listens to changes in the form controls bound to state keys through the
+	 * `BINDINGS` static variable, updating their state keys accordingly.
+	 * @protected
+	 */
+	addBindingListeners_() {
+		var bindings = this.constructor.BINDINGS_MERGED;
+		Object.keys(bindings).forEach(key => {
+			var selector = this.getBinding_(key).selector;
+			var listener = this.handleBindingEvent_.bind(this, key);
+			this.delegate('input', selector, listener);
+			this.delegate('change', selector, listener);
+		});
+	}
+
 	/**
 	 * Adds the necessary classes to the component's element.
 	 */
 	addElementClasses() {
-		var classesToAdd = this.constructor.ELEMENT_CLASSES_MERGED;
-		if (this.elementClasses) {
-			classesToAdd = classesToAdd + ' ' + this.elementClasses;
-		}
-		dom.addClasses(this.element, classesToAdd);
+		dom.addClasses(this.element, this.getElementClasses());
 	}
 
 	/**
@@ -184,14 +310,27 @@ class Component extends State {
 	 * @chainable
 	 */
 	attach(opt_parentElement, opt_siblingElement) {
+		if (this.pendingDetach_) {
+			this.pendingDetach_ = null;
+			this.cancelTransition_();
+		}
 		if (!this.inDocument) {
+			this.callSafely_(this.willAttach.bind(this), {
+				phase: 'willAttach'
+			});
 			this.renderElement_(opt_parentElement, opt_siblingElement);
 			this.inDocument = true;
 			this.emit('attached', {
 				parent: opt_parentElement,
 				sibling: opt_siblingElement
 			});
-			this.attached();
+			this.callSafely_(this.attached.bind(this), {
+				phase: 'attached'
+			});
+			if (this.visible) {
+				this.runTransition_('enter');
+			}
+			this.getPortalChildren_().forEach(child => child.wasRendered && child.attach());
 		}
 		return this;
 	}
@@ -207,11 +346,178 @@ class Component extends State {
 
 	/**
 	 * Adds the given sub component, replacing any existing one with the same ref.
+	 * The replaced component is disposed, while the previous parent of the given
+	 * one (if it's being moved from another component) stops referencing it.
+	 *
+	 * A portal can be given so that the sub component's element is attached to
+	 * a different target (like `document.body` for modals and tooltips) instead
+	 * of inside this component's element. It still belongs to this component's
+	 * tree though, being detached and disposed together with it. Its bubbling
+	 * events also reach this component, unless the portal sets `bubbles` to false.
 	 * @param {string} ref
 	 * @param {!Component} component
+	 * @param {(string|Element|{bubbles: boolean, target: (string|!Element)})=} opt_portal
+	 *     The portal's target element or selector, or an object with its options.
 	 */
-	addSubComponent(ref, component) {
+	addSubComponent(ref, component, opt_portal) {
+		if (component.parent_ && component.parent_ !== this) {
+			component.parent_.removeSubComponent_(component);
+		}
+		if (this.components[ref] !== component) {
+			this.disposeSubComponents([ref]);
+		}
 		this.components[ref] = component;
+		component.parent_ = this;
+		component.portal_ = null;
+		if (opt_portal) {
+			var isTarget = core.isString(opt_portal) || core.isElement(opt_portal);
+			component.portal_ = object.mixin({
+				bubbles: true
+			}, isTarget ? {target: opt_portal} : opt_portal);
+		}
+		component.findComponents(() => true).concat(component).forEach(
+			consumer => consumer.readDeclaredContext_()
+		);
+	}
+
+	/**
+	 * Builds the nodes for the given slot content. Nodes are used as they are,
+	 * strings become text nodes (reusing the ones previously distributed into
+	 * the same slot when possible) and sub component specs are rendered as sub
+	 * components of this one.
+	 * @param {string} name The slot's name.
+	 * @param {*} content
+	 * @param {!Object<string, boolean>} refs Object where the refs of the sub
+	 *     components that are used will be marked.
+	 * @return {!Array<!Node>}
+	 * @protected
+	 */
+	buildSlotNodes_(name, content, refs) {
+		var prevNodes = this.slotNodes_[name] || [];
+		var items = array.flatten([content]).filter(item => core.isDefAndNotNull(item) && item !== false);
+		return items.map((item, index) => {
+			if (core.isString(item) || core.isNumber(item)) {
+				var prevNode = prevNodes[index];
+				if (prevNode && prevNode.nodeType === 3) {
+					prevNode.nodeValue = item;
+					return prevNode;
+				}
+				return document.createTextNode(item);
+			}
+			if (item.Ctor) {
+				refs[item.ref] = this.renderSlotComponent_(item);
+				return refs[item.ref].element;
+			}
+			return item;
+		});
+	}
+
+	/**
+	 * Calls the given function, routing any error it throws to the nearest
+	 * ancestor that acts as an error boundary (see `routeError_`), so that one
+	 * broken component doesn't leave the whole page half rendered.
+	 * @param {!function()} fn
+	 * @param {!Object} info Information about where the error may happen, like
+	 *     the lifecycle `phase`, that will be passed to the error boundary.
+	 * @protected
+	 */
+	callSafely_(fn, info) {
+		try {
+			fn();
+		} catch (error) {
+			this.routeError_(error, info);
+		}
+	}
+
+	/**
+	 * Overrides `State`'s default behavior so that computed state keys are
+	 * read-only, ignoring any writes that don't come from their own calculation.
+	 * @param {string} name The name of the key.
+	 * @return {boolean}
+	 * @override
+	 */
+	canSetState(name) {
+		var computed = this.getStateKeyConfig(name).computed;
+		return (!computed || this.computingKey_ === name) && super.canSetState(name);
+	}
+
+	/**
+	 * Cancels the enter or leave transition that is currently running, if any.
+	 * @protected
+	 */
+	cancelTransition_() {
+		if (this.transition_) {
+			this.transition_.cancel();
+			this.transition_ = null;
+		}
+	}
+
+	/**
+	 * Checks that the component's element has all the expected CSS classes while
+	 * hydrating, reporting the missing ones.
+	 * @protected
+	 */
+	checkHydratedElementClasses_() {
+		if (!this.element) {
+			return;
+		}
+		var classes = this.getElementClasses().split(' ');
+		for (var i = 0; i < classes.length; i++) {
+			if (classes[i] && !dom.hasClass(this.element, classes[i])) {
+				this.reportHydrationMismatch('elementClasses', classes[i], this.element.className);
+			}
+		}
+	}
+
+	/**
+	 * Converts the value of a custom element's attribute to the type expected
+	 * by the state key it maps to. The type is inferred from the key's validator
+	 * or, when there's none, from its default value.
+	 * @param {!Object} config The state key's configuration.
+	 * @param {?string} value The attribute's value, or null if it was removed.
+	 * @return {*}
+	 * @protected
+	 * @static
+	 */
+	static coerceAttributeValue_(config, value) {
+		var validator = config.validator;
+		var defaultValue = config.value;
+		if (validator === core.isBoolean || core.isBoolean(defaultValue)) {
+			return value !== null && value !== 'false';
+		}
+		if (value === null) {
+			return undefined;
+		}
+		if (validator === core.isNumber || core.isNumber(defaultValue)) {
+			return Number(value);
+		}
+		if (validator === core.isObject || validator === Array.isArray ||
+			(core.isObject(defaultValue) && !core.isFunction(defaultValue))) {
+			try {
+				return JSON.parse(value);
+			} catch (e) {
+				console.error('The attribute value "' + value + '" is not valid JSON.');
+				return undefined;
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * Calculates the value of the given computed state key, by calling its `fn`
+	 * with the current values of the keys it depends on.
+	 * @param {string} name The name of the computed key.
+	 * @protected
+	 */
+	computeStateKey_(name) {
+		var config = this.getStateKeyConfig(name);
+		var args = config.computed.map(dep => this[dep]);
+		this.computingKey_ = name;
+		try {
+			this[name] = this.callFunction_(config.fn, args);
+		} finally {
+			this.computingKey_ = null;
+		}
 	}
 
 	/**
@@ -231,6 +537,121 @@ class Component extends State {
 		return new this.constructor.RENDERER_MERGED(this);
 	}
 
+	/**
+	 * Registers a native custom element for the given component constructor,
+	 * so it can be used by pages and frameworks that know nothing about Metal.
+	 * Each state key (besides `element`) becomes a property of the custom
+	 * element, as well as an observed attribute with its name in kebab case,
+	 * whose value is coerced according to the key's validator. The component is
+	 * rendered inside the custom element when it's first connected, and is
+	 * attached/detached whenever the custom element is connected/disconnected.
+	 * Events emitted by the component are re-dispatched from the custom element
+	 * as `CustomEvent`s, with the event's data as their `detail` (or an array
+	 * with all of it, when the event has more than one argument).
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {string} tagName The name of the custom element, which must contain
+	 *     a dash.
+	 * @return {!function()} The custom element's constructor function.
+	 * @static
+	 */
+	static defineCustomElement(Ctor, tagName) {
+		if (typeof customElements === 'undefined') {
+			throw new Error('Custom elements are not supported in this environment.');
+		}
+
+		var state = State.mergeState_(core.collectSuperClassesProperty(Ctor, 'STATE'));
+		var keys = Object.keys(state).filter(key => key !== 'element');
+		var attrToKey = {};
+		keys.forEach(function(key) {
+			if (['events', 'namedSlotContent', 'slotContent'].indexOf(key) === -1 && !state[key].computed) {
+				attrToKey[Component.toAttributeName_(key)] = key;
+			}
+		});
+
+		function CustomElement() {
+			var element = Reflect.construct(HTMLElement, [], CustomElement);
+			element.component = null;
+			element.pendingState_ = {};
+			return element;
+		}
+		CustomElement.prototype = Object.create(HTMLElement.prototype);
+		CustomElement.prototype.constructor = CustomElement;
+		Object.setPrototypeOf(CustomElement, HTMLElement);
+		CustomElement.observedAttributes = Object.keys(attrToKey);
+
+		CustomElement.prototype.attributeChangedCallback = function(name, prevVal, newVal) {
+			if (prevVal === newVal) {
+				return;
+			}
+			var key = attrToKey[name];
+			var value = Component.coerceAttributeValue_(state[key], newVal);
+			if (this.component) {
+				this.component[key] = value;
+			} else if (core.isDef(value)) {
+				// Attributes changed before the first connection override the
+				// properties set before them.
+				this.pendingState_[key] = value;
+			} else {
+				delete this.pendingState_[key];
+			}
+		};
+
+		CustomElement.prototype.connectedCallback = function() {
+			if (this.component) {
+				this.component.attach(this);
+				return;
+			}
+
+			var config = {};
+			var attrNames = Object.keys(attrToKey);
+			for (var i = 0; i < attrNames.length; i++) {
+				if (this.hasAttribute(attrNames[i])) {
+					var key = attrToKey[attrNames[i]];
+					config[key] = Component.coerceAttributeValue_(state[key], this.getAttribute(attrNames[i]));
+				}
+			}
+			for (var j = 0; j < keys.length; j++) {
+				if (this.hasOwnProperty(keys[j])) {
+					// Properties set before the element was upgraded shadow the accessors
+					// from the prototype, so they need to be moved to the component.
+					this.pendingState_[keys[j]] = this[keys[j]];
+					delete this[keys[j]];
+				}
+			}
+			object.mixin(config, this.pendingState_);
+			this.pendingState_ = {};
+
+			this.component = new Ctor(config, false);
+			this.component.on('*', Component.redispatchEvent_.bind(null, this));
+			this.component.render_(this);
+		};
+
+		CustomElement.prototype.disconnectedCallback = function() {
+			if (this.component) {
+				this.component.detach();
+			}
+		};
+
+		keys.forEach(function(key) {
+			Object.defineProperty(CustomElement.prototype, key, {
+				configurable: true,
+				get: function() {
+					return this.component ? this.component[key] : this.pendingState_[key];
+				},
+				set: function(val) {
+					if (this.component) {
+						this.component[key] = val;
+					} else {
+						this.pendingState_[key] = val;
+					}
+				}
+			});
+		});
+
+		customElements.define(tagName, CustomElement);
+		return CustomElement;
+	}
+
 	/**
 	 * Listens to a delegate event on the component's element.
 	 * @param {string} eventName The name of the event to listen to.
@@ -249,18 +670,61 @@ class Component extends State {
 	 * removed from the DOM and any other action to be performed must be
 	 * implemented in this method, such as, unbinding DOM events. A component
 	 * can be detached multiple times.
+	 * If `willDetach` returns a promise, the element will only be removed after
+	 * it resolves, and won't be removed at all if it's rejected or if the
+	 * component is attached again in the meantime. The same goes for the leave
+	 * transition, when the component has a `TRANSITION` configured. Calling
+	 * `detach` again while waiting for them does nothing, unless it's immediate.
+	 * @param {boolean=} opt_immediate Flag indicating that the element should be
+	 *     removed right away, without waiting for `willDetach`'s promise.
 	 * @chainable
 	 */
-	detach() {
+	detach(opt_immediate) {
+		if (this.pendingDetach_ && !opt_immediate) {
+			return this;
+		}
+		if (this.inDocument && !this.pendingDetach_) {
+			var result;
+			this.callSafely_(() => result = this.willDetach(), {
+				phase: 'willDetach'
+			});
+			var hasTransition = !!this.constructor.TRANSITION_MERGED;
+			var pending = null;
+			if (!opt_immediate && result && core.isFunction(result.then)) {
+				pending = hasTransition ? result.then(this.runTransition_.bind(this, 'leave')) : result;
+			} else if (!opt_immediate && hasTransition) {
+				pending = this.runTransition_('leave');
+			}
+			if (pending) {
+				this.pendingDetach_ = pending;
+				pending.then(
+					this.handleWillDetachSettled_.bind(this, pending, true),
+					this.handleWillDetachSettled_.bind(this, pending, false)
+				);
+				return this;
+			}
+		}
+		this.pendingDetach_ = null;
+		this.detachElement_();
+		return this;
+	}
+
+	/**
+	 * Removes the component's element from the DOM, finishing the detach
+	 * lifecycle.
+	 * @protected
+	 */
+	detachElement_() {
 		if (this.inDocument) {
+			this.cancelTransition_();
 			if (this.element && this.element.parentNode) {
 				this.element.parentNode.removeChild(this.element);
 			}
 			this.inDocument = false;
 			this.detached();
+			this.getPortalChildren_().forEach(child => child.detach());
 		}
 		this.emit('detached');
-		return this;
 	}
 
 	/**
@@ -283,17 +747,23 @@ class Component extends State {
 	 */
 	disposeInternal() {
 		this.disposed();
+		this.emit('disposed');
 
-		this.detach();
+		this.detach(true);
 
 		if (this.elementEventProxy_) {
 			this.elementEventProxy_.dispose();
 			this.elementEventProxy_ = null;
 		}
 
+		if (this.parent_) {
+			this.parent_.removeSubComponent_(this);
+			this.parent_ = null;
+		}
 		this.disposeSubComponents(Object.keys(this.components));
 		this.components = null;
 
+		this.removeStyles_();
 		this.renderer_.dispose();
 		this.renderer_ = null;
 
@@ -308,13 +778,136 @@ class Component extends State {
 		for (var i = 0; i < keys.length; i++) {
 			var component = this.components[keys[i]];
 			if (component && !component.isDisposed()) {
-				component.element = null;
+				component.parent_ = null;
+				if (component.element && !component.portal_) {
+					// Elements rendered through portals are removed by the component
+					// itself, since its parent's renderer doesn't know about them.
+					component.element = null;
+				}
 				component.dispose();
 				delete this.components[keys[i]];
 			}
 		}
 	}
 
+	/**
+	 * Distributes the content of the `slotContent` and `namedSlotContent` state
+	 * keys into the slot points of the component's element. Slot points are
+	 * elements marked with a `data-slot` attribute: `slotContent` goes into the
+	 * one with an empty value, while each entry of `namedSlotContent` goes into
+	 * the one named by its key. Content that was already distributed is moved
+	 * instead of re-created, so the same nodes and sub components are kept
+	 * across updates. Sub components are only attached once they're placed in
+	 * a slot point. Slot points should be left empty in the component's markup.
+	 *
+	 * Example:
+	 *
+	 * <code>
+	 * new Dialog({
+	 *   slotContent: ['Are you sure?'],
+	 *   namedSlotContent: {
+	 *     footer: {ref: 'ok', Ctor: Button, config: {label: 'OK'}}
+	 *   }
+	 * });
+	 * </code>
+	 * @protected
+	 */
+	distributeSlots_() {
+		if (!this.element || this.isDisposed()) {
+			return;
+		}
+
+		var content = object.mixin({}, this.namedSlotContent);
+		content[''] = this.slotContent;
+		var names = Object.keys(object.mixin({}, this.slotNodes_, content));
+		var refs = {};
+		var slotNodes = {};
+		names.forEach(name => slotNodes[name] = this.buildSlotNodes_(name, content[name], refs));
+
+		var usedNodes = array.flatten(names.map(name => slotNodes[name]));
+		array.flatten(names.map(name => this.slotNodes_[name] || []))
+			.filter(node => usedNodes.indexOf(node) === -1)
+			.forEach(node => dom.exitDocument(node));
+
+		names.forEach(name => {
+			var point = this.findSlotPoint_(name, usedNodes);
+			slotNodes[name].forEach(function(node, index) {
+				if (!point) {
+					dom.exitDocument(node);
+				} else if (point.childNodes[index] !== node) {
+					point.insertBefore(node, point.childNodes[index] || null);
+				}
+			});
+		});
+
+		this.slotNodes_ = slotNodes;
+		this.disposeSubComponents(this.slotRefs_.filter(ref => !refs[ref]));
+		this.slotRefs_ = Object.keys(refs);
+		this.slotRefs_.forEach(function(ref) {
+			var component = refs[ref];
+			if (component.element.parentNode && !component.inDocument) {
+				component.attach();
+			} else if (!component.element.parentNode && component.inDocument) {
+				component.detach(true);
+			}
+		});
+	}
+
+	/**
+	 * Overrides `EventEmitter`'s default behavior so that events listed in the
+	 * `BUBBLING_EVENTS` static variable travel up the component tree after being
+	 * emitted. Listeners of a bubbling event receive the emitted arguments
+	 * unchanged, followed by an object with the bubbling info: the event's
+	 * `type`, the `target` component that emitted it, the `currentTarget`
+	 * component being notified and a `stopPropagation` function that prevents
+	 * the event from reaching further ancestors.
+	 * @param {string} event
+	 * @param {*} opt_args [arg1], [arg2], [...]
+	 * @return {boolean} Returns true if event had listeners, false otherwise.
+	 * @override
+	 */
+	emit(event) {
+		var bubblingEvents = this.constructor.BUBBLING_EVENTS_MERGED;
+		if (!bubblingEvents || bubblingEvents.indexOf(event) === -1) {
+			return super.emit(...arguments);
+		}
+
+		var stopped = false;
+		var info = {
+			currentTarget: null,
+			stopPropagation: function() {
+				stopped = true;
+			},
+			target: this,
+			type: event
+		};
+		var args = [event].concat(array.slice(arguments, 1), [info]);
+		var hadListeners = false;
+		var component = this;
+		while (component && !stopped) {
+			info.currentTarget = component;
+			hadListeners = super.emit.apply(component, args) || hadListeners;
+			var portal = component.portal_;
+			component = portal && !portal.bubbles ? null : component.getParent();
+		}
+		return hadListeners;
+	}
+
+	/**
+	 * Overrides `State`'s default behavior to call the `willReceiveState`
+	 * lifecycle method before the batch of state changes is emitted.
+	 * @protected
+	 * @override
+	 */
+	emitBatchEvent_() {
+		if (!this.isDisposed() && this.scheduledBatchData_) {
+			this.callSafely_(this.willReceiveState.bind(this, this.scheduledBatchData_.changes), {
+				phase: 'willReceiveState'
+			});
+		}
+		super.emitBatchEvent_();
+	}
+
 	/**
 	 * Extracts listener info from the given value.
 	 * @param {function()|string|{selector:string,fn:function()|string}} value
@@ -335,6 +928,136 @@ class Component extends State {
 		return info;
 	}
 
+	/**
+	 * Finds all components in the tree below this one (its sub components, their
+	 * own sub components and so on) that match the given constructor or
+	 * predicate function, in depth-first order.
+	 * @param {!function()} ctorOrPredicate Either a component constructor, to
+	 *     find its instances, or a function that receives each component and
+	 *     returns true for the ones that should be found.
+	 * @return {!Array<!Component>}
+	 */
+	findComponents(ctorOrPredicate) {
+		var matches = Component.isComponentCtor(ctorOrPredicate) ?
+			component => component instanceof ctorOrPredicate :
+			ctorOrPredicate;
+		var found = [];
+		var children = this.getChildren();
+		for (var i = 0; i < children.length; i++) {
+			if (matches(children[i])) {
+				found.push(children[i]);
+			}
+			found = found.concat(children[i].findComponents(matches));
+		}
+		return found;
+	}
+
+	/**
+	 * Finds the slot point with the given name in the component's element. Slot
+	 * points inside sub components or inside distributed content belong to
+	 * other components, and so are ignored.
+	 * @param {string} name
+	 * @param {!Array<!Node>} distributedNodes
+	 * @return {Element}
+	 * @protected
+	 */
+	findSlotPoint_(name, distributedNodes) {
+		var selector = '[data-slot="' + name + '"]';
+		var points = array.slice(this.element.querySelectorAll(selector), 0);
+		if (this.element.getAttribute('data-slot') === name) {
+			points.unshift(this.element);
+		}
+		var owners = this.getChildren().map(child => child.element).concat(distributedNodes);
+		var isOwned = point => owners.some(owner => owner && owner.contains(point));
+		return points.filter(point => !isOwned(point))[0] || null;
+	}
+
+	/**
+	 * Runs the renderer's update logic again, even though no state key has
+	 * changed. Useful when the rendered content depends on data that is not
+	 * part of the component's state. Does nothing if the component hasn't been
+	 * rendered yet.
+	 */
+	forceUpdate() {
+		if (this.wasRendered) {
+			var data = {
+				changes: {},
+				forced: true
+			};
+			this.renderer_.updateSafely_(data);
+		}
+	}
+
+	/**
+	 * Gets the value of the attribute (or style property) that reflects the
+	 * given state key, as configured in `ELEMENT_ATTRIBUTES`.
+	 * @param {string} key
+	 * @return {?string} The value, or null if the attribute should be removed.
+	 * @protected
+	 */
+	getElementAttributeValue_(key) {
+		var name = this.constructor.ELEMENT_ATTRIBUTES_MERGED[key];
+		var value = this[key];
+		var isAria = name.indexOf('aria-') === 0;
+		var isStyle = name.indexOf('style.') === 0;
+		if (!core.isDefAndNotNull(value) || (value === false && !isAria)) {
+			return null;
+		}
+		return value === true && !isAria && !isStyle ? '' : String(value);
+	}
+
+	/**
+	 * Gets the attributes that the component itself sets on its element, besides
+	 * its classes. These are the ones reflected from `ELEMENT_ATTRIBUTES`, the
+	 * `STYLES` scope attribute and the `style` for its visibility. Used by
+	 * renderers to keep these when rendering or patching the element's own
+	 * attributes.
+	 * @return {!Object<string, string>}
+	 */
+	getElementAttributes() {
+		var attrs = {};
+		var styles = [];
+		var names = this.constructor.ELEMENT_ATTRIBUTES_MERGED;
+		Object.keys(names).forEach(key => {
+			var value = this.getElementAttributeValue_(key);
+			if (value === null) {
+				return;
+			}
+			if (names[key].indexOf('style.') === 0) {
+				var property = names[key].substr(6).replace(/[A-Z]/g, char => '-' + char.toLowerCase());
+				styles.push(property + ':' + value);
+			} else {
+				attrs[names[key]] = value;
+			}
+		});
+		var scope = this.getStylesScope_();
+		if (scope) {
+			attrs[Component.STYLES_SCOPE_ATTRIBUTE] = scope;
+		}
+		if (!this.visible) {
+			styles.push('display:none');
+		}
+		if (styles.length) {
+			attrs.style = styles.join(';');
+		}
+		return attrs;
+	}
+
+	/**
+	 * Gets all the CSS classes that should be applied to the component's element,
+	 * which includes both the static `ELEMENT_CLASSES` and the `elementClasses`
+	 * state key.
+	 * @return {string}
+	 */
+	getElementClasses() {
+		var classes = this.constructor.ELEMENT_CLASSES_MERGED;
+		var elementClasses = Component.normalizeClasses_(this.elementClasses);
+		if (elementClasses) {
+			classes = classes + ' ' + elementClasses;
+		}
+		return classes;
+	}
+
 	/**
 	 * Gets the configuration object that was passed to this component's constructor.
 	 * @return {!Object}
@@ -369,6 +1092,8 @@ class Component extends State {
 	 * @protected
 	 */
 	fireStateKeyChange_(key, opt_change) {
+		this.syncBinding_(key);
+		this.syncElementAttribute_(key);
 		var fn = this['sync' + key.charAt(0).toUpperCase() + key.slice(1)];
 		if (core.isFunction(fn)) {
 			if (!opt_change) {
@@ -377,42 +1102,359 @@ class Component extends State {
 					prevVal: undefined
 				};
 			}
-			fn.call(this, opt_change.newVal, opt_change.prevVal);
+			this.callSafely_(fn.bind(this, opt_change.newVal, opt_change.prevVal), {
+				key,
+				phase: 'sync'
+			});
 		}
 	}
 
 	/**
-	 * Gets the `ComponentRenderer` instance being used.
-	 * @return {!ComponentRenderer}
+	 * Gets the normalized binding for the given state key from the `BINDINGS`
+	 * static variable, if there is one.
+	 * @param {string} key
+	 * @return {?{selector: string, parse: (function()|string), format: (function()|string)}}
+	 * @protected
 	 */
-	getRenderer() {
-		return this.renderer_;
+	getBinding_(key) {
+		var binding = this.constructor.BINDINGS_MERGED[key];
+		if (core.isString(binding)) {
+			return {
+				selector: binding
+			};
+		}
+		return binding || null;
 	}
 
 	/**
-	 * Handles state batch changes. Calls any existing `sync` functions that
-	 * match the changed state keys.
-	 * @param {Event} event
+	 * Gets the value of the given form control, which is its `checked` flag
+	 * for checkboxes, the array of selected values for multiple selects, its
+	 * text content if it's contenteditable, or its `value` otherwise.
+	 * @param {!Element} control
+	 * @return {*}
 	 * @protected
+	 * @static
 	 */
-	handleStateChanged_(event) {
-		this.syncStateFromChanges_(event.changes);
-		this.emit('stateSynced', event);
+	static getControlValue_(control) {
+		if (control.type === 'checkbox') {
+			return control.checked;
+		}
+		if (control.type === 'select-multiple') {
+			return array.slice(control.selectedOptions, 0).map(option => option.value);
+		}
+		return Component.isContentEditable_(control) ? control.textContent : control.value;
 	}
 
 	/**
-	 * Handles the `newListener` event. Just flags that this event type has been
-	 * attached, so we can start proxying it when `DomEventEmitterProxy` is created.
-	 * @param {string} event
-	 * @protected
+	 * Gets the sub components that were directly added to this component.
+	 * @return {!Array<!Component>}
 	 */
-	handleNewListener_(event) {
-		this.attachedListeners_[event] = true;
+	getChildren() {
+		if (!this.components) {
+			return [];
+		}
+		return Object.keys(this.components)
+			.map(ref => this.components[ref])
+			.filter(component => component && !component.isDisposed());
 	}
 
 	/**
-	 * Checks if the given function is a component constructor.
-	 * @param {!function()} fn Any function
+	 * Gets the value for the given key from the context provided by the nearest
+	 * ancestor whose `provideContext` includes it. This component will be
+	 * updated whenever that value changes, as well as the ones listed in its
+	 * `CONTEXT` static variable.
+	 * @param {string} key
+	 * @return {*}
+	 */
+	getContext(key) {
+		this.contextKeys_[key] = true;
+		var provider = this.getContextProvider_(key);
+		return provider ? provider.getProvidedContext_()[key] : undefined;
+	}
+
+	/**
+	 * Gets the nearest ancestor that provides a context value for the given key.
+	 * @param {string} key
+	 * @return {Component}
+	 * @protected
+	 */
+	getContextProvider_(key) {
+		var provider = this.parent_;
+		while (provider) {
+			var context = provider.getProvidedContext_();
+			if (context && context.hasOwnProperty(key)) {
+				return provider;
+			}
+			provider = provider.parent_;
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the component that this one was added to as a sub component.
+	 * @return {Component}
+	 */
+	getParent() {
+		return this.parent_;
+	}
+
+	/**
+	 * Gets the direct sub components that were added through portals.
+	 * @return {!Array<!Component>}
+	 * @protected
+	 */
+	getPortalChildren_() {
+		return this.getChildren().filter(child => child.portal_);
+	}
+
+	/**
+	 * Gets the context values provided by this component, calling
+	 * `provideContext` the first time.
+	 * @return {Object}
+	 * @protected
+	 */
+	getProvidedContext_() {
+		if (this.providedContext_ === undefined) {
+			this.providedContext_ = this.provideContext() || null;
+		}
+		return this.providedContext_;
+	}
+
+	/**
+	 * Gets the `ComponentRenderer` instance being used.
+	 * @return {!ComponentRenderer}
+	 */
+	getRenderer() {
+		return this.renderer_;
+	}
+
+	/**
+	 * Gets the component at the top of this component's tree, which may be this
+	 * component itself.
+	 * @return {!Component}
+	 */
+	getRoot() {
+		var root = this;
+		while (root.parent_) {
+			root = root.parent_;
+		}
+		return root;
+	}
+
+	/**
+	 * Gets the scheduler that flushes this component's state changes. Sub
+	 * components use the same scheduler as their parent, so that the whole tree
+	 * can be updated in order.
+	 * @return {!ComponentScheduler}
+	 */
+	getScheduler() {
+		if (this.parent_) {
+			return this.parent_.getScheduler();
+		}
+		core.mergeSuperClassesProperty(this.constructor, 'SCHEDULER', array.firstDefinedValue);
+		return this.constructor.SCHEDULER_MERGED;
+	}
+
+	/**
+	 * Gets the value of the attribute used to scope the class' `STYLES` on the
+	 * component's element, if `STYLES_SCOPED` is set.
+	 * @return {?string}
+	 * @protected
+	 */
+	getStylesScope_() {
+		if (this.constructor.STYLES_SCOPED_MERGED && this.constructor.STYLES_MERGED) {
+			return String(core.getUid(this.constructor, true));
+		}
+		return null;
+	}
+
+	/**
+	 * Handles state batch changes. Calls any existing `sync` functions that
+	 * match the changed state keys.
+	 * @param {Event} event
+	 * @protected
+	 */
+	handleStateChanged_(event) {
+		this.syncStateFromChanges_(event.changes);
+		this.refreshContext();
+		this.emit('stateSynced', event);
+	}
+
+	/**
+	 * Handles the `newListener` event. Just flags that this event type has been
+	 * attached, so we can start proxying it when `DomEventEmitterProxy` is created.
+	 * @param {string} event
+	 * @protected
+	 */
+	handleNewListener_(event) {
+		this.attachedListeners_[event] = true;
+	}
+
+	/**
+	 * Handles a change to any state key, calculating again the computed keys
+	 * that depend on it. This happens synchronously, so computed keys change in
+	 * the same batch as their dependencies.
+	 * @param {!Object} data
+	 * @protected
+	 */
+	handleComputedDepChanged_(data) {
+		var keys = this.computedDeps_[data.key] || [];
+		keys.forEach(key => this.computeStateKey_(key));
+	}
+
+	/**
+	 * Handles an `input` or `change` event from a form control bound to the
+	 * given state key, updating the key with the control's parsed value.
+	 * @param {string} key
+	 * @param {!Event} event
+	 * @protected
+	 */
+	handleBindingEvent_(key, event) {
+		var control = event.delegateTarget;
+		if (control.type !== 'radio' || control.checked) {
+			this[key] = this.parseBindingValue_(key, control);
+		}
+	}
+
+	/**
+	 * Handles a change in context values used by this component, emitting the
+	 * `contextChanged` event and updating the component.
+	 * @param {!Object<string, Object>} changes Object containing the changed
+	 *     context keys, each mapped to an object with its new (newVal) and
+	 *     previous (prevVal) values.
+	 * @protected
+	 */
+	handleContextChanged_(changes) {
+		this.emit('contextChanged', {
+			changes
+		});
+		this.forceUpdate();
+	}
+
+	/**
+	 * Handles the settlement of a promise returned by `willDetach`. The element
+	 * is removed if the promise was resolved, unless the detach was canceled in
+	 * the meantime.
+	 * @param {!Promise} promise
+	 * @param {boolean} resolved
+	 * @protected
+	 */
+	handleWillDetachSettled_(promise, resolved) {
+		if (this.pendingDetach_ !== promise || this.isDisposed()) {
+			return;
+		}
+		this.pendingDetach_ = null;
+		if (resolved) {
+			this.detachElement_();
+		}
+	}
+
+	/**
+	 * Creates a component for the given constructor function and hydrates it
+	 * with markup that already exists in the page, usually rendered on the server
+	 * via `Component.renderToString`. The existing element is adopted as the
+	 * component's `element`, instead of having a new one be rendered.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object|Element|string=} opt_configOrElement Optional config data
+	 *     for the component, or the existing element.
+	 * @param {(Element|string)=} opt_element The existing element, or a selector
+	 *     for it.
+	 * @return {!Component} The hydrated component's instance.
+	 * @throws {Error} If the existing element isn't found.
+	 */
+	static hydrate(Ctor, opt_configOrElement, opt_element) {
+		var config = opt_configOrElement;
+		var element = opt_element;
+		if (core.isElement(opt_configOrElement) || core.isString(opt_configOrElement)) {
+			config = null;
+			element = opt_configOrElement;
+		}
+		if (!dom.toElement(element)) {
+			throw new Error(
+				'Can\'t hydrate the component "' + core.getFunctionName(Ctor) + '", since ' +
+				(core.isString(element) ? 'no element matches "' + element + '"' : 'no element was given') +
+				'.'
+			);
+		}
+		config = object.mixin({}, config, {
+			element: element
+		});
+		var instance = new Ctor(config, false);
+		instance.hydrate_();
+		return instance;
+	}
+
+	/**
+	 * Lifecycle. Hydrates the component, running the same lifecycle as `render_`
+	 * but adopting the existing element instead of emitting the `render` event.
+	 * Renderers act on the `hydrate` event instead, and should just add the sub
+	 * components that already exist in the markup, which will then be hydrated
+	 * as well. The synchronization methods run while the `hydrating` flag is set,
+	 * so they should only check the markup instead of changing it.
+	 * @protected
+	 */
+	hydrate_() {
+		this.hydrating = true;
+		this.injectStyles_();
+		this.emit('hydrate');
+		this.setUpProxy_();
+		this.syncStylesScope_();
+		this.syncState_();
+		this.hydrateSubComponents_();
+		this.attach();
+		this.wasRendered = true;
+		this.hydrating = false;
+	}
+
+	/**
+	 * Hydrates all sub components that haven't been rendered yet and that
+	 * already have their elements set.
+	 * @protected
+	 */
+	hydrateSubComponents_() {
+		var refs = Object.keys(this.components);
+		for (var i = 0; i < refs.length; i++) {
+			var component = this.components[refs[i]];
+			if (!component.wasRendered && component.element) {
+				component.hydrate_();
+			}
+		}
+	}
+
+	/**
+	 * Injects the `STYLES` of this component's class into the document, if this
+	 * is the first of its instances being rendered. The style element is shared
+	 * by all instances of the class, being only removed when the last of them is
+	 * disposed. See `removeStyles_`.
+	 * @protected
+	 */
+	injectStyles_() {
+		var styles = this.constructor.STYLES_MERGED;
+		if (this.stylesInjected_ || !styles || typeof document === 'undefined') {
+			return;
+		}
+		this.stylesInjected_ = true;
+
+		var id = core.getUid(this.constructor, true);
+		var entry = Component.injectedStyles_[id];
+		if (!entry) {
+			var styleElement = document.createElement('style');
+			styleElement.setAttribute('data-styles-for', id);
+			styleElement.textContent = this.constructor.STYLES_SCOPED_MERGED ?
+				styles.replace(/:scope\b/g, '[' + Component.STYLES_SCOPE_ATTRIBUTE + '="' + id + '"]') :
+				styles;
+			document.head.appendChild(styleElement);
+			entry = Component.injectedStyles_[id] = {
+				count: 0,
+				element: styleElement
+			};
+		}
+		entry.count++;
+	}
+
+	/**
+	 * Checks if the given function is a component constructor.
+	 * @param {!function()} fn Any function
 	 * @return {boolean}
 	 */
 	static isComponentCtor(fn) {
@@ -420,14 +1462,105 @@ class Component extends State {
 	}
 
 	/**
-	 * Merges an array of values for the ELEMENT_CLASSES property into a single object.
-	 * @param {!Array.<string>} values The values to be merged.
+	 * Checks if the context value for the given key is provided to the given
+	 * component (from this provider's tree) by a component closer to it.
+	 * @param {!Component} component
+	 * @param {string} key
+	 * @return {boolean}
+	 * @protected
+	 */
+	isContextShadowed_(component, key) {
+		var ancestor = component.parent_;
+		while (ancestor && ancestor !== this) {
+			var context = ancestor.getProvidedContext_();
+			if (context && context.hasOwnProperty(key)) {
+				return true;
+			}
+			ancestor = ancestor.parent_;
+		}
+		return false;
+	}
+
+	/**
+	 * Checks if the given element is contenteditable.
+	 * @param {!Element} element
+	 * @return {boolean}
+	 * @protected
+	 * @static
+	 */
+	static isContentEditable_(element) {
+		var value = element.getAttribute('contenteditable');
+		return core.isString(value) && value !== 'false';
+	}
+
+	/**
+	 * Checks if this component can catch errors thrown by its sub components.
+	 * @return {boolean}
+	 * @protected
+	 */
+	isErrorBoundary_() {
+		return !this.isDisposed() &&
+			(core.isFunction(this.handleError) || this.listeners('error').length > 0);
+	}
+
+	/**
+	 * Merges an array of object values into a single object, with the entries
+	 * from subclasses overriding the ones for the same keys from their super
+	 * classes. Used for properties like BINDINGS and ELEMENT_ATTRIBUTES.
+	 * @param {!Array<Object>} values The values to be merged.
+	 * @return {!Object} The merged value.
+	 * @protected
+	 * @static
+	 */
+	static mergeObjects_(values) {
+		return object.mixin.apply(null, [{}].concat(values.reverse()));
+	}
+
+	/**
+	 * Merges an array of array values into a single flat array, keeping only
+	 * the first occurrence of each item. Used for properties like CONTEXT,
+	 * BUBBLING_EVENTS and STYLES.
+	 * @param {!Array<Array>} values The values to be merged.
+	 * @return {!Array} The merged value.
+	 * @protected
+	 * @static
+	 */
+	static mergeUniqueValues_(values) {
+		var marked = {};
+		return array.flatten(values.filter(core.isDefAndNotNull)).filter(function(key) {
+			if (marked[key]) {
+				return false;
+			}
+			marked[key] = true;
+			return true;
+		});
+	}
+
+	/**
+	 * Merges an array of values for the STYLES property into a single string,
+	 * with the styles from super classes coming first, so subclasses can
+	 * override them.
+	 * @param {!Array<string>} values The values to be merged.
+	 * @return {string} The merged value.
+	 * @protected
+	 * @static
+	 */
+	static mergeStyles_(values) {
+		return Component.mergeUniqueValues_(values.reverse().filter(val => val)).join('\n');
+	}
+
+	/**
+	 * Merges an array of values for the ELEMENT_CLASSES property into a single
+	 * string, without duplicate classes. Each value can be in any of the forms
+	 * accepted by `elementClasses`.
+	 * @param {!Array} values The values to be merged.
 	 * @return {!string} The merged value.
 	 * @protected
 	 */
 	mergeElementClasses_(values) {
 		var marked = {};
-		return values.filter(function(val) {
+		var classes = values.map(Component.normalizeClasses_).join(' ').split(' ');
+		return classes.filter(function(val) {
 			if (!val || marked[val]) {
 				return false;
 			} else {
@@ -437,6 +1570,75 @@ class Component extends State {
 		}).join(' ');
 	}
 
+	/**
+	 * Returns a promise that resolves once the pending batch of state changes
+	 * has been synced and passed to the renderer's `update` method. Resolves
+	 * right away if there are no pending changes, or when the component is
+	 * disposed before they could be synced.
+	 * @return {!Promise}
+	 */
+	nextUpdate() {
+		if (!this.scheduledBatchData_) {
+			return Promise.resolve();
+		}
+		return new Promise(resolve => {
+			var handler = new EventHandler();
+			var done = function() {
+				handler.removeAllListeners();
+				resolve();
+			};
+			handler.add(
+				this.once('stateSynced', done),
+				this.once('disposed', done)
+			);
+		});
+	}
+
+	/**
+	 * Notifies the given component in this provider's tree about the context
+	 * changes that affect it, that is, the ones for keys it uses that aren't
+	 * provided by another component closer to it.
+	 * @param {!Object<string, Object>} changes
+	 * @param {!Component} component
+	 * @protected
+	 */
+	notifyContextChanges_(changes, component) {
+		var used = object.mixin({}, component.contextKeys_);
+		(component.constructor.CONTEXT_MERGED || []).forEach(key => used[key] = true);
+
+		var relevant = {};
+		var hasRelevant = false;
+		var keys = Object.keys(changes);
+		for (var i = 0; i < keys.length; i++) {
+			if (used[keys[i]] && !this.isContextShadowed_(component, keys[i])) {
+				relevant[keys[i]] = changes[keys[i]];
+				hasRelevant = true;
+			}
+		}
+		if (hasRelevant) {
+			component.handleContextChanged_(relevant);
+		}
+	}
+
+	/**
+	 * Normalizes the given CSS classes into a space-separated string. Besides
+	 * strings, they can be given as an array (possibly nested) of any of the
+	 * accepted forms, or as an object mapping class names to booleans, where
+	 * only the classes mapped to truthy values are used.
+	 * @param {*} classes
+	 * @return {string}
+	 * @protected
+	 * @static
+	 */
+	static normalizeClasses_(classes) {
+		if (Array.isArray(classes)) {
+			return classes.map(Component.normalizeClasses_).filter(val => val).join(' ');
+		} else if (core.isObject(classes)) {
+			return Object.keys(classes).filter(name => classes[name]).join(' ');
+		}
+		return core.isString(classes) ? classes.trim().split(/\s+/).join(' ') : '';
+	}
+
 	/**
 	 * Fired when the `element` state value is changed.
 	 * @param {!Object} event
@@ -455,6 +1657,8 @@ class Component extends State {
 		if (event.newVal) {
 			this.addElementClasses();
 			this.syncVisible(this.visible);
+			this.syncElementAttributes_();
+			this.syncStylesScope_();
 		}
 	}
 
@@ -468,6 +1672,31 @@ class Component extends State {
 		this.addListenersFromObj_(event.newVal);
 	}
 
+	/**
+	 * Gets the value of the given form control, parsed by the `parse` function
+	 * of the state key's binding, if any.
+	 * @param {string} key
+	 * @param {!Element} control
+	 * @return {*}
+	 * @protected
+	 */
+	parseBindingValue_(key, control) {
+		var parse = this.getBinding_(key).parse;
+		var value = Component.getControlValue_(control);
+		return parse ? this.callFunction_(parse, [value]) : value;
+	}
+
+	/**
+	 * Returns the context values this component provides to all the components
+	 * in its tree, which can be read via `getContext`. Sub classes can override
+	 * this to become context providers. It's called again after each batch of
+	 * state changes, and components using values that changed are updated.
+	 * @return {Object}
+	 */
+	provideContext() {
+		return null;
+	}
+
 	/**
 	 * Creates and renders a component for the given constructor function. This
 	 * will always make sure that the constructor runs without rendering the
@@ -490,6 +1719,30 @@ class Component extends State {
 		return instance;
 	}
 
+	/**
+	 * Renders the component for the given constructor function into an html
+	 * string, without requiring a DOM to be available. The `created` lifecycle
+	 * and the synchronization methods will run as usual, but the actual markup
+	 * will be produced by the `renderToString` method of the component's
+	 * renderer. The instance is disposed after its markup is built.
+	 *
+	 * Note that `metal-dom`, which this module depends on, calls
+	 * `document.createElement` as soon as it's imported. So in environments
+	 * without a DOM, like Node.js, a global `document` with a `createElement`
+	 * function needs to be defined before importing components. Rendering the
+	 * string itself doesn't use it.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} opt_config Optional config data for the component.
+	 * @return {string} The rendered html.
+	 */
+	static renderToString(Ctor, opt_config) {
+		var instance = new Ctor(opt_config, false);
+		instance.syncState_();
+		var html = instance.getRenderer().renderToString();
+		instance.dispose();
+		return html;
+	}
+
 	/**
 	 * Lifecycle. Renders the component into the DOM.
 	 *
@@ -509,12 +1762,18 @@ class Component extends State {
 	 * @protected
 	 */
 	render_(opt_parentElement, opt_skipRender) {
+		this.injectStyles_();
 		if (!opt_skipRender) {
-			this.emit('render');
+			this.callSafely_(this.emit.bind(this, 'render'), {
+				phase: 'render'
+			});
 		}
 		this.setUpProxy_();
+		this.syncStylesScope_();
 		this.syncState_();
-		this.attach(opt_parentElement);
+		if (opt_parentElement !== false) {
+			this.attach(opt_parentElement);
+		}
 		this.wasRendered = true;
 	}
 
@@ -529,7 +1788,8 @@ class Component extends State {
 	}
 
 	/**
-	 * Renders the component element into the DOM.
+	 * Renders the component element into the DOM. Components added through a
+	 * portal are always rendered into the portal's target instead.
 	 * @param {(string|Element)=} opt_parentElement Optional parent element
 	 *     to render the component.
 	 * @param {(string|Element)=} opt_siblingElement Optional sibling element
@@ -540,12 +1800,323 @@ class Component extends State {
 	 */
 	renderElement_(opt_parentElement, opt_siblingElement) {
 		var element = this.element;
+		if (element && this.portal_) {
+			var target = dom.toElement(this.portal_.target);
+			if (target && element.parentNode !== target) {
+				target.appendChild(element);
+			}
+			return;
+		}
 		if (element && (opt_siblingElement || !element.parentNode)) {
 			var parent = dom.toElement(opt_parentElement) || this.DEFAULT_ELEMENT_PARENT;
 			parent.insertBefore(element, dom.toElement(opt_siblingElement));
 		}
 	}
 
+	/**
+	 * Re-dispatches an event emitted by a component as a `CustomEvent` on the
+	 * given custom element. Internal events, as well as events that were proxied
+	 * from the DOM (and so already reach the custom element), are ignored.
+	 * @param {!Element} element The custom element.
+	 * @param {string} event The name of the emitted event.
+	 * @param {*} opt_data The data emitted with the event.
+	 * @protected
+	 * @static
+	 */
+	static redispatchEvent_(element, event, opt_data) {
+		var isDomEvent = typeof Event !== 'undefined' && opt_data instanceof Event;
+		if (isDomEvent || Component.CUSTOM_ELEMENT_IGNORED_EVENTS.indexOf(event) !== -1) {
+			return;
+		}
+		// Listeners of "*" receive both the original event's facade and their own
+		// as the last arguments, so any data comes before them.
+		var data = array.slice(arguments, 2, arguments.length - 2);
+		element.dispatchEvent(new CustomEvent(event, {
+			detail: data.length > 1 ? data : (data.length ? data[0] : null)
+		}));
+	}
+
+	/**
+	 * Reads the context values for the keys listed in the `CONTEXT` static
+	 * variable, so that their providers start tracking them right away, even
+	 * before `getContext` is called for them.
+	 * @protected
+	 */
+	readDeclaredContext_() {
+		(this.constructor.CONTEXT_MERGED || []).forEach(key => this.getContext(key));
+	}
+
+	/**
+	 * Calls `provideContext` again, updating all components in this component's
+	 * tree that use context values that have changed. This is done automatically
+	 * after each batch of state changes, but can also be called manually when
+	 * the values depend on something else.
+	 */
+	refreshContext() {
+		var prevContext = this.providedContext_ || {};
+		var context = this.provideContext() || null;
+		this.providedContext_ = context;
+		context = context || {};
+
+		var keys = Object.keys(object.mixin({}, prevContext, context));
+		var changes = {};
+		var changed = false;
+		for (var i = 0; i < keys.length; i++) {
+			if (prevContext[keys[i]] !== context[keys[i]]) {
+				changes[keys[i]] = {
+					newVal: context[keys[i]],
+					prevVal: prevContext[keys[i]]
+				};
+				changed = true;
+			}
+		}
+		if (changed) {
+			this.findComponents(() => true).forEach(this.notifyContextChanges_.bind(this, changes));
+		}
+	}
+
+	/**
+	 * Removes the given sub component from this component's `components` map,
+	 * without disposing it.
+	 * @param {!Component} component
+	 * @protected
+	 */
+	removeSubComponent_(component) {
+		var refs = Object.keys(this.components || {});
+		for (var i = 0; i < refs.length; i++) {
+			if (this.components[refs[i]] === component) {
+				delete this.components[refs[i]];
+			}
+		}
+	}
+
+	/**
+	 * Stops counting this component as a user of its class' `STYLES`, removing
+	 * the injected style element if no other instance is using it anymore.
+	 * @protected
+	 */
+	removeStyles_() {
+		if (!this.stylesInjected_) {
+			return;
+		}
+		this.stylesInjected_ = false;
+
+		var id = core.getUid(this.constructor, true);
+		var entry = Component.injectedStyles_[id];
+		if (entry && --entry.count === 0) {
+			dom.exitDocument(entry.element);
+			delete Component.injectedStyles_[id];
+		}
+	}
+
+	/**
+	 * Replaces the component's element with the given fallback content, which
+	 * is used after an error was caught by an error boundary. Html strings that
+	 * don't have a single root element are wrapped in a div.
+	 * @param {string|!Element} fallback
+	 * @protected
+	 */
+	renderFallback_(fallback) {
+		if (core.isString(fallback)) {
+			var wrapper = document.createElement('div');
+			wrapper.innerHTML = fallback;
+			var single = wrapper.childNodes.length === 1 && core.isElement(wrapper.firstChild);
+			fallback = single ? wrapper.firstChild : wrapper;
+		}
+
+		var element = this.element;
+		if (element && element.parentNode) {
+			element.parentNode.replaceChild(fallback, element);
+		}
+		this.fallbackElement_ = fallback;
+		this.element = fallback;
+	}
+
+	/**
+	 * Renders the sub component described by the given slot spec, reusing the
+	 * existing one with the same ref and constructor, if any.
+	 * @param {!{ref: string, Ctor: !function(), config: Object}} spec
+	 * @return {!Component}
+	 * @protected
+	 */
+	renderSlotComponent_(spec) {
+		var config = spec.config || {};
+		var component = this.components[spec.ref];
+		if (component && component.constructor === spec.Ctor) {
+			component.setState(config);
+		} else {
+			component = new spec.Ctor(config, false);
+			this.addSubComponent(spec.ref, component);
+			component.render_(false);
+		}
+		return component;
+	}
+
+	/**
+	 * Reports a mismatch between the component's state and the markup that was
+	 * adopted during hydration. Only done when `Component.DEV_MODE` is on.
+	 * @param {string} key The name of the state key (or other data) that doesn't
+	 *     match the markup.
+	 * @param {*} expected The value expected by the component.
+	 * @param {*} actual The value found in the markup.
+	 */
+	reportHydrationMismatch(key, expected, actual) {
+		if (Component.DEV_MODE) {
+			console.warn(
+				'Hydration mismatch for "' + key + '" in the component "' +
+				core.getFunctionName(this.constructor) + '". Expected "' + expected +
+				'", but the markup has "' + actual + '".'
+			);
+		}
+	}
+
+	/**
+	 * Routes an error thrown by this component to the nearest ancestor that acts
+	 * as an error boundary, that is, that either implements a
+	 * `handleError(error, info)` method or has listeners for the `error` event.
+	 * The `info` object also includes the `component` that threw. If the boundary
+	 * returns a fallback (an element or an html string) from `handleError`, or
+	 * sets it as the `fallback` property of the `error` event's data, it will
+	 * replace the failing component's element. The error is thrown again if no
+	 * boundary is found.
+	 * @param {*} error
+	 * @param {!Object} info
+	 * @protected
+	 */
+	routeError_(error, info) {
+		info.component = this;
+		var boundary = this.getParent();
+		while (boundary && !boundary.isErrorBoundary_()) {
+			boundary = boundary.getParent();
+		}
+		if (!boundary) {
+			throw error;
+		}
+
+		var fallback;
+		if (core.isFunction(boundary.handleError)) {
+			fallback = boundary.handleError(error, info);
+		} else {
+			var data = {
+				error,
+				fallback: null,
+				info
+			};
+			boundary.emit('error', data);
+			fallback = data.fallback;
+		}
+		if (core.isString(fallback) || core.isElement(fallback)) {
+			this.renderFallback_(fallback);
+		}
+	}
+
+	/**
+	 * Runs the enter or leave transition configured by the `TRANSITION` static
+	 * variable on the component's element, canceling the one that was running.
+	 * Emits `transitionStart` when it starts, and `transitionEnd` when it ends
+	 * (with a `canceled` flag for transitions that didn't finish).
+	 * @param {string} type Either "enter" or "leave".
+	 * @return {!Promise<boolean>} Resolves with true once the transition ends,
+	 *     or with false if it's canceled. Resolves right away if there's no
+	 *     transition to run.
+	 * @protected
+	 */
+	runTransition_(type) {
+		var config = this.constructor.TRANSITION_MERGED;
+		if (!config || !this.element || this.isDisposed()) {
+			return Promise.resolve(true);
+		}
+
+		this.cancelTransition_();
+		var transition = new ComponentTransition(this.element, type, config);
+		this.transition_ = transition;
+		this.emit('transitionStart', {
+			type
+		});
+		return transition.start().then(completed => {
+			if (this.transition_ === transition) {
+				this.transition_ = null;
+			}
+			if (!this.isDisposed()) {
+				this.emit('transitionEnd', {
+					canceled: !completed,
+					type
+				});
+			}
+			return completed;
+		});
+	}
+
+	/**
+	 * Overrides `State`'s default behavior, so that the batch of state changes
+	 * is flushed by this component's scheduler instead of on its own.
+	 * @param {!Object} changeData Information about a state key's update.
+	 * @protected
+	 * @override
+	 */
+	scheduleBatchEvent_(changeData) {
+		if (!this.scheduledBatchData_) {
+			this.scheduledBatchData_ = {
+				changes: {}
+			};
+			this.getScheduler().schedule(this);
+		}
+
+		var name = changeData.key;
+		var changes = this.scheduledBatchData_.changes;
+		if (changes[name]) {
+			changes[name].newVal = changeData.newVal;
+		} else {
+			changes[name] = changeData;
+		}
+	}
+
+	/**
+	 * Overrides `State`'s default behavior so that computed state keys get
+	 * their first value calculated from their dependencies.
+	 * @param {string} name The name of the key.
+	 * @protected
+	 * @override
+	 */
+	setDefaultValue_(name) {
+		if (this.getStateKeyConfig(name).computed) {
+			this.computeStateKey_(name);
+		} else {
+			super.setDefaultValue_(name);
+		}
+	}
+
+	/**
+	 * Sets the value of the given form control. Checkboxes are checked if the
+	 * value is truthy and radios if it matches their own value, multiple selects
+	 * have the options whose values are in the given array selected, while other
+	 * controls have their value (or text content) changed, unless it's already
+	 * the same, so things like the cursor position are kept.
+	 * @param {!Element} control
+	 * @param {*} value
+	 * @protected
+	 * @static
+	 */
+	static setControlValue_(control, value) {
+		var text = core.isDefAndNotNull(value) ? String(value) : '';
+		if (control.type === 'checkbox') {
+			control.checked = !!value;
+		} else if (control.type === 'radio') {
+			control.checked = control.value === text;
+		} else if (control.type === 'select-multiple') {
+			var values = array.flatten([value]).filter(core.isDefAndNotNull).map(String);
+			array.slice(control.options, 0).forEach(option => {
+				option.selected = values.indexOf(option.value) !== -1;
+			});
+		} else if (Component.isContentEditable_(control)) {
+			if (control.textContent !== text) {
+				control.textContent = text;
+			}
+		} else if (control.value !== text) {
+			control.value = text;
+		}
+	}
+
 	/**
 	 * Setter logic for element state key.
 	 * @param {string|Element} newVal
@@ -561,6 +2132,42 @@ class Component extends State {
 		return element;
 	}
 
+	/**
+	 * Sets up the computed state keys, which are the ones with a `computed`
+	 * array in their config, listing the keys they depend on. Their `fn` (a
+	 * function or the name of a method) receives the values of these keys, in
+	 * the same order, and returns the computed value. Computed keys are read-only
+	 * and calculated again whenever a dependency changes, being included in
+	 * `stateChanged` and having their sync methods called like any other key.
+	 *
+	 * Example:
+	 *
+	 * <code>
+	 * MyComponent.STATE = {
+	 *   filter: {},
+	 *   items: {},
+	 *   visibleItems: {
+	 *     computed: ['items', 'filter'],
+	 *     fn: 'computeVisibleItems_'
+	 *   }
+	 * };
+	 * </code>
+	 * @protected
+	 */
+	setUpComputedState_() {
+		var keys = this.getStateKeys().filter(key => this.getStateKeyConfig(key).computed);
+		keys.forEach(key => {
+			this.getStateKeyConfig(key).computed.forEach(dep => {
+				this.computedDeps_[dep] = this.computedDeps_[dep] || [];
+				this.computedDeps_[dep].push(key);
+			});
+			this.initStateKey_(key);
+		});
+		if (keys.length) {
+			this.on('stateKeyChanged', this.handleComputedDepChanged_);
+		}
+	}
+
 	/**
 	 * Creates the `DomEventEmitterProxy` instance and has it start proxying any
 	 * listeners that have already been listened to.
@@ -581,6 +2188,19 @@ class Component extends State {
 		this.newListenerHandle_ = null;
 	}
 
+	/**
+	 * Lifecycle. Called by the renderer before updating the component after its
+	 * state has changed. Sub classes can override this to skip updates that
+	 * wouldn't change the rendered content, by returning false.
+	 * @param {!Object<string, Object>} changes Object containing the names
+	 *     of all changed state keys, each mapped to an object with its new
+	 *     (newVal) and previous (prevVal) values.
+	 * @return {boolean}
+	 */
+	shouldUpdate() {
+		return true;
+	}
+
 	/**
 	 * Fires state synchronization functions.
 	 * @protected
@@ -605,25 +2225,168 @@ class Component extends State {
 	}
 
 	/**
-	 * State synchronization logic for the `elementClasses` state key.
-	 * @param {string} newVal
-	 * @param {string} prevVal
+	 * Updates the form controls bound to the given state key with its current
+	 * value, formatted by the binding's `format` function, if any. Controls
+	 * whose parsed value already matches the state key are left untouched, so
+	 * updates caused by the controls themselves don't loop back into them.
+	 * @param {string} key
+	 * @protected
+	 */
+	syncBinding_(key) {
+		var binding = this.getBinding_(key);
+		if (!binding || !this.element) {
+			return;
+		}
+		var value = this[key];
+		var formatted = binding.format ? this.callFunction_(binding.format, [value]) : value;
+		var controls = this.element.querySelectorAll(binding.selector);
+		for (var i = 0; i < controls.length; i++) {
+			if (controls[i].type === 'radio' || this.parseBindingValue_(key, controls[i]) !== value) {
+				Component.setControlValue_(controls[i], formatted);
+			}
+		}
+	}
+
+	/**
+	 * Updates all the form controls bound to state keys through the `BINDINGS`
+	 * static variable.
+	 * @protected
+	 */
+	syncBindings_() {
+		Object.keys(this.constructor.BINDINGS_MERGED).forEach(this.syncBinding_.bind(this));
+	}
+
+	/**
+	 * Reflects the value of the given state key on the component's element, if
+	 * it's listed in the `ELEMENT_ATTRIBUTES` static variable. Attributes are
+	 * removed when the value is null, undefined or false, and set as empty when
+	 * it's true, except for ARIA attributes, which get "true" or "false". While
+	 * hydrating, the existing markup is only checked instead.
+	 * @param {string} key
+	 * @protected
+	 */
+	syncElementAttribute_(key) {
+		var name = this.constructor.ELEMENT_ATTRIBUTES_MERGED[key];
+		if (!name || !this.element) {
+			return;
+		}
+
+		var value = this.getElementAttributeValue_(key);
+		var isStyle = name.indexOf('style.') === 0;
+		if (this.hydrating) {
+			var actual = isStyle ? this.element.style[name.substr(6)] || null : this.element.getAttribute(name);
+			if (actual !== value) {
+				this.reportHydrationMismatch(key, value, actual);
+			}
+		} else if (isStyle) {
+			this.element.style[name.substr(6)] = value === null ? '' : value;
+		} else if (value === null) {
+			this.element.removeAttribute(name);
+		} else {
+			this.element.setAttribute(name, value);
+		}
+	}
+
+	/**
+	 * Reflects all the state keys listed in the `ELEMENT_ATTRIBUTES` static
+	 * variable on the component's element.
+	 * @protected
+	 */
+	syncElementAttributes_() {
+		var keys = Object.keys(this.constructor.ELEMENT_ATTRIBUTES_MERGED);
+		keys.forEach(this.syncElementAttribute_.bind(this));
+	}
+
+	/**
+	 * State synchronization logic for the `elementClasses` state key. Only the
+	 * classes that are not used anymore are removed from the element, so the
+	 * ones kept between the previous and new values are left untouched.
+	 * @param {string|!Array|!Object} newVal
+	 * @param {string|!Array|!Object} prevVal
 	 */
 	syncElementClasses(newVal, prevVal) {
+		if (this.hydrating) {
+			this.checkHydratedElementClasses_();
+			return;
+		}
 		if (this.element && prevVal) {
-			dom.removeClasses(this.element, prevVal);
+			var classes = this.getElementClasses().split(' ');
+			var removed = Component.normalizeClasses_(prevVal).split(' ')
+				.filter(name => classes.indexOf(name) === -1);
+			dom.removeClasses(this.element, removed.join(' '));
 		}
 		this.addElementClasses();
 	}
 
+	/**
+	 * State synchronization logic for the `namedSlotContent` state key.
+	 */
+	syncNamedSlotContent() {
+		this.distributeSlots_();
+	}
+
+	/**
+	 * State synchronization logic for the `slotContent` state key.
+	 */
+	syncSlotContent() {
+		this.distributeSlots_();
+	}
+
+	/**
+	 * Marks the component's element with the attribute used to scope its
+	 * class' `STYLES`, when `STYLES_SCOPED` is set. While hydrating, the
+	 * existing markup is only checked instead.
+	 * @protected
+	 */
+	syncStylesScope_() {
+		var scope = this.getStylesScope_();
+		if (!this.element || !scope) {
+			return;
+		}
+		if (this.hydrating) {
+			var actual = this.element.getAttribute(Component.STYLES_SCOPE_ATTRIBUTE);
+			if (actual !== scope) {
+				this.reportHydrationMismatch(Component.STYLES_SCOPE_ATTRIBUTE, scope, actual);
+			}
+			return;
+		}
+		this.element.setAttribute(Component.STYLES_SCOPE_ATTRIBUTE, scope);
+	}
+
 	/**
 	 * State synchronization logic for `visible` state key.
-	 * Updates the element's display value according to its visibility.
+	 * Updates the element's display value according to its visibility. When the
+	 * component has a `TRANSITION` configured and is in the document, the enter
+	 * transition runs after showing the element, and the element is only hidden
+	 * after the leave transition finishes.
 	 * @param {boolean} newVal
+	 * @param {boolean} prevVal
 	 */
-	syncVisible(newVal) {
-		if (this.element) {
+	syncVisible(newVal, prevVal) {
+		if (this.hydrating) {
+			var display = newVal ? '' : 'none';
+			if (this.element && this.element.style.display !== display) {
+				this.reportHydrationMismatch('visible', display, this.element.style.display);
+			}
+			return;
+		}
+		if (!this.element) {
+			return;
+		}
+
+		var animate = this.constructor.TRANSITION_MERGED && this.inDocument &&
+			core.isDef(prevVal) && newVal !== prevVal;
+		if (!animate) {
 			this.element.style.display = newVal ? '' : 'none';
+		} else if (newVal) {
+			this.element.style.display = '';
+			this.runTransition_('enter');
+		} else {
+			this.runTransition_('leave').then(completed => {
+				if (completed && !this.visible && this.element) {
+					this.element.style.display = 'none';
+				}
+			});
 		}
 	}
 
@@ -635,14 +2398,53 @@ class Component extends State {
 	rendered() {
 	}
 
+	/**
+	 * Converts the given state key name to the name of its custom element
+	 * attribute, e.g. `fontSize` becomes `font-size`.
+	 * @param {string} key
+	 * @return {string}
+	 * @protected
+	 * @static
+	 */
+	static toAttributeName_(key) {
+		return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+	}
+
+	/**
+	 * Reconciles this component's sub components with the given specs. Existing
+	 * sub components whose ref and constructor match a spec are reused, getting
+	 * the spec's `config` applied as state changes. New sub components are
+	 * created (without being rendered) for the other specs, while any sub
+	 * component whose ref is not present in the specs is disposed.
+	 * @param {!Array<!{ref: string, Ctor: !function(), config: Object}>} specs
+	 * @return {!Array<!Component>} The sub components, in the order of the specs.
+	 */
+	updateSubComponents(specs) {
+		var refs = {};
+		var components = specs.map(spec => {
+			refs[spec.ref] = true;
+			var config = spec.config || {};
+			var component = this.components[spec.ref];
+			if (component && component.constructor === spec.Ctor) {
+				component.setState(config);
+			} else {
+				component = new spec.Ctor(config, false);
+				this.addSubComponent(spec.ref, component);
+			}
+			return component;
+		});
+		this.disposeSubComponents(Object.keys(this.components).filter(ref => !refs[ref]));
+		return components;
+	}
+
 	/**
 	 * Validator logic for elementClasses state key.
-	 * @param {string} val
+	 * @param {*} val
 	 * @return {boolean} True if val is a valid element classes.
 	 * @protected
 	 */
 	validatorElementClassesFn_(val) {
-		return core.isString(val);
+		return core.isString(val) || (core.isObject(val) && !core.isFunction(val));
 	}
 
 	/**
@@ -664,6 +2466,40 @@ class Component extends State {
 	validatorEventsFn_(val) {
 		return !core.isDefAndNotNull(val) || core.isObject(val);
 	}
+
+	/**
+	 * Lifecycle. Called right before the component's element is attached to the
+	 * DOM.
+	 */
+	willAttach() {}
+
+	/**
+	 * Lifecycle. Called right before the component's element is removed from
+	 * the DOM. Can return a promise to delay the removal until it resolves, for
+	 * example to run exit animations or to ask the user to confirm discarding
+	 * unsaved changes. Rejecting the promise cancels the detach. The promise
+	 * is ignored when the component is being disposed.
+	 * @return {Promise|undefined}
+	 */
+	willDetach() {}
+
+	/**
+	 * Lifecycle. Called when a batch of state changes is about to be synced and
+	 * passed to the renderer. The new values have already been set, and any
+	 * state changed here will be included in the same batch.
+	 * @param {!Object<string, Object>} changes Object containing the names
+	 *     of all changed state keys, each mapped to an object with its new
+	 *     (newVal) and previous (prevVal) values.
+	 */
+	willReceiveState() {}
+
+	/**
+	 * Lifecycle. Called right before the renderer updates the component.
+	 * @param {!Object<string, Object>} changes Object containing the names
+	 *     of all changed state keys, each mapped to an object with its new
+	 *     (newVal) and previous (prevVal) values.
+	 */
+	willUpdate() {}
 }
 
 /**
@@ -683,8 +2519,10 @@ Component.STATE = {
 	},
 
 	/**
-	 * CSS classes to be applied to the element.
-	 * @type {string}
+	 * CSS classes to be applied to the element. Can be a space-separated string,
+	 * an array of classes or an object mapping class names to booleans, telling
+	 * if each class should be applied.
+	 * @type {string|!Array|!Object<string, boolean>}
 	 */
 	elementClasses: {
 		validator: 'validatorElementClassesFn_'
@@ -701,6 +2539,27 @@ Component.STATE = {
 		value: null
 	},
 
+	/**
+	 * Content for the component's named slot points, keyed by the value of their
+	 * `data-slot` attribute. Each entry accepts the same values as `slotContent`.
+	 * @type {Object<string, *>}
+	 */
+	namedSlotContent: {
+		render: false
+	},
+
+	/**
+	 * Content for the component's default slot point, that is, the element in
+	 * its markup with an empty `data-slot` attribute. Can be a node, a string,
+	 * a sub component spec (`{ref, Ctor, config}`) or an array of them. It
+	 * doesn't cause the renderer to update, since it's distributed by the
+	 * component itself (see `distributeSlots_`).
+	 * @type {*}
+	 */
+	slotContent: {
+		render: false
+	},
+
 	/**
 	 * Indicates if the component is visible or not.
 	 * @type {boolean}
@@ -714,8 +2573,73 @@ Component.STATE = {
 Component.COMPONENT_FLAG = '__metal_component__';
 
 /**
- * CSS classes to be applied to the element.
- * @type {string}
+ * Form controls bound to state keys of this class, keyed by the state key
+ * names. Each binding can be a selector for the controls inside the component's
+ * element, or an object with the `selector` and optional `parse` and `format`
+ * functions (or method names), to convert values between the controls and the
+ * state. Changes made by the user are set on the state key, while changes to
+ * the state key are reflected back on the controls. Text inputs, textareas,
+ * selects, checkboxes, radios and contenteditable elements are supported.
+ *
+ * Example:
+ *
+ * <code>
+ * MyComponent.BINDINGS = {
+ *   name: '.name-input',
+ *   age: {
+ *     selector: '.age-input',
+ *     parse: value => parseInt(value, 10)
+ *   }
+ * };
+ * </code>
+ * @type {!Object<string, (string|{selector: string, parse: (function()|string), format: (function()|string)})>}
+ * @static
+ */
+Component.BINDINGS = {};
+
+/**
+ * Names of the events of this class that bubble up the component tree when
+ * emitted, so they can be listened to on any ancestor. See `emit`.
+ * @type {!Array<string>}
+ * @static
+ */
+Component.BUBBLING_EVENTS = [];
+
+/**
+ * The keys of the context values used by components of this class. They'll be
+ * updated whenever the nearest provider of any of these values changes it,
+ * even if `getContext` hasn't been called for it yet.
+ * @type {!Array<string>}
+ * @static
+ */
+Component.CONTEXT = [];
+
+/**
+ * State keys of this class that should be reflected on the component's
+ * element, mapped to the attribute they're reflected on. This can be any
+ * attribute, including ARIA (`aria-*`) and data (`data-*`) ones, or an inline
+ * style property, prefixed by "style.". They're applied when the component is
+ * rendered, whenever their state keys change and when the element is replaced.
+ *
+ * Example:
+ *
+ * <code>
+ * MyComponent.ELEMENT_ATTRIBUTES = {
+ *   expanded: 'aria-expanded',
+ *   itemId: 'data-item-id',
+ *   label: 'title',
+ *   width: 'style.width'
+ * };
+ * </code>
+ * @type {!Object<string, string>}
+ * @static
+ */
+Component.ELEMENT_ATTRIBUTES = {};
+
+/**
+ * CSS classes to be applied to the element. Accepts the same forms as the
+ * `elementClasses` state key.
+ * @type {string|!Array|!Object<string, boolean>}
  * @protected
  * @static
  */
@@ -730,6 +2654,92 @@ Component.ELEMENT_CLASSES = '';
  */
 Component.RENDERER = ComponentRenderer;
 
+/**
+ * Flag indicating if development checks should be run, like reporting
+ * mismatches between state and markup during hydration. Off by default, so it
+ * should be turned on during development.
+ * @type {boolean}
+ */
+Component.DEV_MODE = false;
+
+/**
+ * Events that are used internally by components, and so are not re-dispatched
+ * from custom elements defined via `defineCustomElement`.
+ * @type {!Array<string>}
+ * @static
+ */
+Component.CUSTOM_ELEMENT_IGNORED_EVENTS = [
+	'elementChanged',
+	'eventsChanged',
+	'hydrate',
+	'newListener',
+	'render',
+	'stateChanged',
+	'stateKeyChanged',
+	'stateSynced'
+];
+
+/**
+ * The scheduler that will flush the state changes of components of this
+ * class, as well as of all their sub components.
+ * @type {!ComponentScheduler}
+ * @static
+ */
+Component.SCHEDULER = ComponentScheduler.defaultScheduler;
+
+/**
+ * The enter and leave transitions of components of this class, applied when
+ * their `visible` state key flips and when they're attached or detached. It
+ * should hold the CSS classes to add during each type of transition (`enter`
+ * and `leave`), and optionally a fixed `duration` or a max `timeout` in
+ * milliseconds. See `ComponentTransition` for more details.
+ * @type {?{enter: string, leave: string, duration: number, timeout: number}}
+ * @static
+ */
+Component.TRANSITION = null;
+
+/**
+ * CSS for components of this class, merged with the `STYLES` of super classes.
+ * It's injected into the document when the first instance of the class is
+ * rendered, and removed when the last one is disposed.
+ * @type {string}
+ * @static
+ */
+Component.STYLES = '';
+
+/**
+ * Flag indicating if the `STYLES` of this class should be scoped to its
+ * components' elements. If so, every `:scope` selector in them is replaced by
+ * a selector for an attribute with an id generated for the class, which is
+ * added to the elements (see `STYLES_SCOPE_ATTRIBUTE`).
+ *
+ * Example:
+ *
+ * <code>
+ * MyComponent.STYLES = ':scope { display: flex; } :scope .title { color: red; }';
+ * MyComponent.STYLES_SCOPED = true;
+ * </code>
+ * @type {boolean}
+ * @static
+ */
+Component.STYLES_SCOPED = false;
+
+/**
+ * The attribute that marks the elements of components with scoped `STYLES`.
+ * @type {string}
+ * @static
+ */
+Component.STYLES_SCOPE_ATTRIBUTE = 'data-styles-scope';
+
+/**
+ * The style elements injected for each component class, keyed by class id,
+ * together with how many rendered instances are using them.
+ * @type {!Object<string, !{count: number, element: !Element}>}
+ * @protected
+ * @static
+ */
+Component.injectedStyles_ = {};
+
 /**
  * Flag indicating if component updates will happen synchronously. Updates are
  * done asynchronously by default, which allows changes to be batched and
@@ -1,23 +1,189 @@
 'use strict';
 
-import { core } from 'metal';
+import { array, core } from 'metal';
+import { dom } from 'metal-dom';
 
 /**
  * The component registry is used to register components, so they can
- * be accessible by name.
- * @type {Object}
+ * be accessible by name. The static methods act on the default global
+ * registry, but separate registries can also be created, optionally falling
+ * back to a parent registry for names they don't have themselves.
+ *
+ * Example:
+ *
+ * <code>
+ * var registry = ComponentRegistry.defaultRegistry.createChild(
+ *   ComponentRegistry.CollisionPolicies.ERROR
+ * );
+ * registry.register(Modal);
+ * registry.getConstructor('Modal');
+ * </code>
  */
 class ComponentRegistry {
+	/**
+	 * Constructor function for `ComponentRegistry`.
+	 * @param {ComponentRegistry=} opt_parent Registry that will be used to find
+	 *     the components that aren't registered in this one.
+	 * @param {string=} opt_collisionPolicy What should be done when a name that
+	 *     is already registered is used again. Should be one of the values in
+	 *     `ComponentRegistry.CollisionPolicies`. Defaults to `REPLACE`.
+	 * @constructor
+	 */
+	constructor(opt_parent, opt_collisionPolicy) {
+		/**
+		 * What should be done when a name that is already registered is used again.
+		 * @type {string}
+		 * @protected
+		 */
+		this.collisionPolicy_ = null;
+
+		/**
+		 * Holds all registered components, indexed by their names.
+		 * @type {!Object<string, function()>}
+		 * @protected
+		 */
+		this.components_ = {};
+
+		/**
+		 * Holds the loaders of components registered via `registerLazy`, indexed by
+		 * their names.
+		 * @type {!Object<string, function()>}
+		 * @protected
+		 */
+		this.loaders_ = {};
+
+		/**
+		 * Holds the promises for components that are currently being loaded,
+		 * indexed by their names.
+		 * @type {!Object<string, !Promise>}
+		 * @protected
+		 */
+		this.loading_ = {};
+
+		/**
+		 * Information about the components mounted via `mountAll`, with the roots
+		 * they were mounted from. Components are tracked by their current
+		 * elements, since renderers may replace the marked ones.
+		 * @type {!Array<!{component: !Object, root: !Element}>}
+		 * @protected
+		 */
+		this.mounted_ = [];
+
+		/**
+		 * The `MutationObserver` instances started by `mountAll`, with the roots
+		 * they are observing.
+		 * @type {!Array<!{observer: !MutationObserver, root: !Element}>}
+		 * @protected
+		 */
+		this.observers_ = [];
+
+		/**
+		 * The registry used to find components that aren't registered in this one.
+		 * @type {ComponentRegistry}
+		 * @protected
+		 */
+		this.parent_ = opt_parent || null;
+
+		this.setCollisionPolicy(opt_collisionPolicy || ComponentRegistry.CollisionPolicies.REPLACE);
+	}
+
+	/**
+	 * Handles a registration with a name that is already in use in this registry,
+	 * according to the collision policy.
+	 * @param {string} name
+	 * @protected
+	 */
+	checkCollision_(name) {
+		if (!this.components_[name] && !this.loaders_[name]) {
+			return;
+		}
+
+		var message = 'A component named ' + name + ' is already registered.';
+		if (this.collisionPolicy_ === ComponentRegistry.CollisionPolicies.ERROR) {
+			throw new Error(message + ' Use a different name or unregister the existing one first.');
+		} else if (this.collisionPolicy_ === ComponentRegistry.CollisionPolicies.WARN) {
+			console.warn(message + ' It will be replaced.');
+		}
+	}
+
+	/**
+	 * Creates a registry that falls back to this one for the names it doesn't
+	 * have registered itself.
+	 * @param {string=} opt_collisionPolicy The collision policy for the new
+	 *     registry. Defaults to the same one used by this registry.
+	 * @return {!ComponentRegistry}
+	 */
+	createChild(opt_collisionPolicy) {
+		return new ComponentRegistry(this, opt_collisionPolicy || this.collisionPolicy_);
+	}
+
+	/**
+	 * Disposes the mounted components from the given root whose elements are no
+	 * longer inside it, as well as forgetting about already disposed ones.
+	 * @param {!Element} root
+	 * @protected
+	 */
+	disposeRemoved_(root) {
+		this.mounted_ = this.mounted_.filter(function(info) {
+			if (info.component.isDisposed()) {
+				return false;
+			}
+			if (info.root === root && !root.contains(info.component.element)) {
+				info.component.dispose();
+				return false;
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * Finds all component markers in the given node's subtree, including itself.
+	 * @param {!Node} node
+	 * @return {!Array<!Element>}
+	 * @protected
+	 */
+	static findMarkers_(node) {
+		if (node.nodeType !== 1) {
+			return [];
+		}
+		var attr = ComponentRegistry.MARKER_ATTRIBUTE;
+		var markers = node.hasAttribute(attr) ? [node] : [];
+		return markers.concat(array.slice(node.querySelectorAll('[' + attr + ']'), 0));
+	}
+
+	/**
+	 * Finds the registry, between this one and its ancestors, that has the
+	 * given name registered, either directly or lazily.
+	 * @param {string} name
+	 * @return {ComponentRegistry}
+	 * @protected
+	 */
+	findRegistry_(name) {
+		var registry = this;
+		while (registry) {
+			if (registry.components_[name] || registry.loaders_[name]) {
+				return registry;
+			}
+			registry = registry.parent_;
+		}
+		return null;
+	}
+
 	/**
 	 * Gets the constructor function for the given component name, or
 	 * undefined if it hasn't been registered yet.
 	 * @param {string} name The component's name.
 	 * @return {?function}
-	 * @static
 	 */
-	static getConstructor(name) {
-		var constructorFn = ComponentRegistry.components_[name];
-		if (!constructorFn) {
+	getConstructor(name) {
+		var registry = this.findRegistry_(name);
+		var constructorFn = registry ? registry.components_[name] : undefined;
+		if (!constructorFn && registry) {
+			console.error(
+				'The component named ' + name + ' was registered lazily and hasn\'t ' +
+				'been loaded yet. Use ComponentRegistry.getConstructorAsync to load it.'
+			);
+		} else if (!constructorFn) {
 			console.error(
 				'There\'s no constructor registered for the component ' +
 				'named ' + name + '. Components need to be registered via ' +
@@ -27,15 +193,352 @@ class ComponentRegistry {
 		return constructorFn;
 	}
 
+	/**
+	 * Gets the constructor function for the given component name from the
+	 * default registry.
+	 * @param {string} name The component's name.
+	 * @return {?function}
+	 * @static
+	 */
+	static getConstructor(name) {
+		return ComponentRegistry.defaultRegistry.getConstructor(name);
+	}
+
+	/**
+	 * Gets the constructor function for the given component name, loading it
+	 * first if it was registered via `registerLazy`. Concurrent calls for the
+	 * same component share a single load, and the loaded constructor is cached.
+	 * Loads that finish after the component was unregistered (or registered
+	 * again) are dropped.
+	 * @param {string} name The component's name.
+	 * @return {!Promise<!function()>} Resolved with the constructor function, or
+	 *     rejected if the component isn't registered, its loader fails or it was
+	 *     unregistered while loading. When the loader fails, its original error
+	 *     is kept as the `cause` of the rejection's error.
+	 */
+	getConstructorAsync(name) {
+		var registry = this.findRegistry_(name);
+		if (!registry) {
+			return Promise.reject(new Error(
+				'There\'s no constructor registered for the component named ' + name +
+				'. Components need to be registered via ComponentRegistry.register ' +
+				'or ComponentRegistry.registerLazy.'
+			));
+		}
+		if (registry.components_[name]) {
+			return Promise.resolve(registry.components_[name]);
+		}
+		if (registry.loading_[name]) {
+			return registry.loading_[name];
+		}
+
+		var loader = registry.loaders_[name];
+		var promise = new Promise(function(resolve) {
+			resolve(loader());
+		}).then(
+			function(loaded) {
+				if (registry.loading_[name] !== promise) {
+					throw new Error(
+						'The component named ' + name + ' was unregistered while loading.'
+					);
+				}
+				delete registry.loading_[name];
+				var loadedFn = loaded && loaded.default ? loaded.default : loaded;
+				if (!core.isFunction(loadedFn)) {
+					throw new Error(
+						'The loader for the component named ' + name + ' didn\'t return ' +
+						'a constructor function.'
+					);
+				}
+				delete registry.loaders_[name];
+				registry.register(loadedFn, name);
+				return loadedFn;
+			},
+			function(error) {
+				if (registry.loading_[name] === promise) {
+					delete registry.loading_[name];
+				}
+				var loadError = new Error(
+					'Failed to load the component named ' + name + ': ' +
+					(error && error.message ? error.message : error)
+				);
+				loadError.cause = error;
+				throw loadError;
+			}
+		);
+		registry.loading_[name] = promise;
+		return promise;
+	}
+
+	/**
+	 * Gets the constructor function for the given component name from the
+	 * default registry, loading it first if it was registered lazily.
+	 * @param {string} name The component's name.
+	 * @return {!Promise<!function()>}
+	 * @static
+	 */
+	static getConstructorAsync(name) {
+		return ComponentRegistry.defaultRegistry.getConstructorAsync(name);
+	}
+
+	/**
+	 * Gets the component that was mounted on the given element, if it hasn't
+	 * been disposed yet.
+	 * @param {!Element} element
+	 * @return {Object}
+	 * @protected
+	 */
+	getMountedComponent_(element) {
+		for (var i = 0; i < this.mounted_.length; i++) {
+			var info = this.mounted_[i];
+			if (info.component.element === element && !info.component.isDisposed()) {
+				return info.component;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the names of all components registered in this registry or in its
+	 * ancestors, including the lazy ones.
+	 * @return {!Array<string>}
+	 */
+	getNames() {
+		var names = this.parent_ ? this.parent_.getNames() : [];
+		var ownNames = Object.keys(this.components_).concat(Object.keys(this.loaders_));
+		for (var i = 0; i < ownNames.length; i++) {
+			if (names.indexOf(ownNames[i]) === -1) {
+				names.push(ownNames[i]);
+			}
+		}
+		return names;
+	}
+
+	/**
+	 * Gets the names of all components registered in the default registry.
+	 * @return {!Array<string>}
+	 * @static
+	 */
+	static getNames() {
+		return ComponentRegistry.defaultRegistry.getNames();
+	}
+
+	/**
+	 * Handles mutations on an observed root, mounting components for markers that
+	 * were added, and disposing components whose elements were removed. Errors
+	 * while mounting are logged, without stopping the other markers from being
+	 * mounted.
+	 * @param {!Element} root
+	 * @param {!Array<!MutationRecord>} records
+	 * @protected
+	 */
+	handleMutations_(root, records) {
+		var logError = function(error) {
+			console.error(error.message);
+		};
+		var removed = false;
+		for (var i = 0; i < records.length; i++) {
+			var addedNodes = records[i].addedNodes;
+			for (var j = 0; j < addedNodes.length; j++) {
+				if (root.contains(addedNodes[j])) {
+					this.mountMarkers_(addedNodes[j], root).catch(logError);
+				}
+			}
+			removed = removed || records[i].removedNodes.length > 0;
+		}
+		if (removed) {
+			this.disposeRemoved_(root);
+		}
+	}
+
+	/**
+	 * Checks if a component with the given name is registered in this registry
+	 * or in its ancestors, including the lazy ones.
+	 * @param {string} name The component's name.
+	 * @return {boolean}
+	 */
+	has(name) {
+		return !!this.findRegistry_(name);
+	}
+
+	/**
+	 * Checks if a component with the given name is registered in the default
+	 * registry.
+	 * @param {string} name The component's name.
+	 * @return {boolean}
+	 * @static
+	 */
+	static has(name) {
+		return ComponentRegistry.defaultRegistry.has(name);
+	}
+
+	/**
+	 * Checks if the given root is being observed for new markers.
+	 * @param {!Element} root
+	 * @return {boolean}
+	 * @protected
+	 */
+	isObserving_(root) {
+		return this.observers_.some(function(info) {
+			return info.root === root;
+		});
+	}
+
+	/**
+	 * Creates the component for the given marker element, using it as the
+	 * component's element, unless it has already been mounted or isn't inside
+	 * the root anymore. Errors thrown while creating the component are logged.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {!Element} element
+	 * @param {!Object} config
+	 * @param {!Element} root
+	 * @return {Object} The created component, if any.
+	 * @protected
+	 */
+	mount_(Ctor, element, config, root) {
+		if (!root.contains(element) || this.getMountedComponent_(element)) {
+			return null;
+		}
+		config.element = element;
+		var component;
+		try {
+			component = new Ctor(config);
+		} catch (error) {
+			console.error(
+				'Failed to mount the component named ' + Ctor.NAME + ': ' +
+				(error && error.message ? error.message : error)
+			);
+			return null;
+		}
+		this.mounted_.push({
+			component: component,
+			root: root
+		});
+		return component;
+	}
+
+	/**
+	 * Finds all elements marked with a `data-component` attribute inside the
+	 * given root and creates the components they refer to, using the marked
+	 * elements as their elements. The config for each component is read as JSON
+	 * from the `data-config` attribute.
+	 *
+	 * Example:
+	 *
+	 * <code>
+	 * <div data-component="Carousel" data-config='{"interval": 3000}'></div>
+	 * </code>
+	 *
+	 * Components that are already registered are mounted synchronously, while
+	 * lazy ones are mounted once loaded.
+	 * @param {(string|Element)=} opt_root The element (or a selector for it) to
+	 *     search for markers. Defaults to `document.body`.
+	 * @param {boolean=} opt_observe Whether markers that are added to the root
+	 *     later should be mounted as well, via a `MutationObserver`. In that case
+	 *     components whose elements are removed from the root will be disposed.
+	 *     Call `unmountAll` to stop observing.
+	 * @return {!Promise<!Array<!Object>>} Resolved with all mounted components.
+	 */
+	mountAll(opt_root, opt_observe) {
+		var root = dom.toElement(opt_root) || document.body;
+		var promise = this.mountMarkers_(root, root);
+		if (opt_observe && typeof MutationObserver !== 'undefined' && !this.isObserving_(root)) {
+			var observer = new MutationObserver(this.handleMutations_.bind(this, root));
+			observer.observe(root, {
+				childList: true,
+				subtree: true
+			});
+			this.observers_.push({
+				observer: observer,
+				root: root
+			});
+		}
+		return promise;
+	}
+
+	/**
+	 * Mounts the components for all markers inside the given root of the default
+	 * registry.
+	 * @param {(string|Element)=} opt_root
+	 * @param {boolean=} opt_observe
+	 * @return {!Promise<!Array<!Object>>}
+	 * @static
+	 */
+	static mountAll(opt_root, opt_observe) {
+		return ComponentRegistry.defaultRegistry.mountAll(opt_root, opt_observe);
+	}
+
+	/**
+	 * Mounts the component for the given marker element.
+	 * @param {!Element} element
+	 * @param {!Element} root
+	 * @return {!Promise<Object>} Resolved with the mounted component, or null if
+	 *     none was mounted.
+	 * @protected
+	 */
+	mountMarker_(element, root) {
+		if (this.getMountedComponent_(element)) {
+			return Promise.resolve(null);
+		}
+
+		var name = element.getAttribute(ComponentRegistry.MARKER_ATTRIBUTE);
+		var config;
+		try {
+			config = JSON.parse(element.getAttribute(ComponentRegistry.CONFIG_ATTRIBUTE) || '{}');
+		} catch (error) {
+			console.error(
+				'The config for the component named ' + name + ' is not valid JSON: ' +
+				error.message
+			);
+			return Promise.resolve(null);
+		}
+
+		var registry = this.findRegistry_(name);
+		if (registry && registry.components_[name]) {
+			return Promise.resolve(this.mount_(registry.components_[name], element, config, root));
+		} else if (!registry) {
+			this.getConstructor(name);
+			return Promise.resolve(null);
+		}
+		return this.getConstructorAsync(name).then(
+			function(constructorFn) {
+				return this.mount_(constructorFn, element, config, root);
+			}.bind(this),
+			function(error) {
+				console.error(error.message);
+				return null;
+			}
+		);
+	}
+
+	/**
+	 * Mounts the components for all markers inside the given node.
+	 * @param {!Node} node
+	 * @param {!Element} root
+	 * @return {!Promise<!Array<!Object>>}
+	 * @protected
+	 */
+	mountMarkers_(node, root) {
+		var markers = ComponentRegistry.findMarkers_(node);
+		var promises = [];
+		for (var i = 0; i < markers.length; i++) {
+			promises.push(this.mountMarker_(markers[i], root));
+		}
+		return Promise.all(promises).then(function(components) {
+			return components.filter(function(component) {
+				return !!component;
+			});
+		});
+	}
+
 	/**
 	 * Registers a component, so it can be found by its name.
 	 * @param {!Function} constructorFn The component's constructor function.
 	 * @param {string=} opt_name Name of the registered component. If none is given
 	 *   the name defined by the NAME static variable will be used instead. If that
 	 *   isn't set as well, the name of the constructor function will be used.
-	 * @static
 	 */
-	static register(constructorFn, opt_name) {
+	register(constructorFn, opt_name) {
 		var name = opt_name;
 		if (!name) {
 			if (constructorFn.hasOwnProperty('NAME')) {
@@ -44,17 +547,158 @@ class ComponentRegistry {
 				name = core.getFunctionName(constructorFn);
 			}
 		}
+		if (this.components_[name] !== constructorFn) {
+			this.checkCollision_(name);
+		}
 		constructorFn.NAME = name;
-		ComponentRegistry.components_[name] = constructorFn;
+		delete this.loaders_[name];
+		this.components_[name] = constructorFn;
+	}
+
+	/**
+	 * Registers a component in the default registry.
+	 * @param {!Function} constructorFn The component's constructor function.
+	 * @param {string=} opt_name Name of the registered component.
+	 * @static
+	 */
+	static register(constructorFn, opt_name) {
+		ComponentRegistry.defaultRegistry.register(constructorFn, opt_name);
+	}
+
+	/**
+	 * Registers a component that will only be loaded when first requested via
+	 * `getConstructorAsync`. This allows large components to be split from the
+	 * main bundle.
+	 * @param {string} name The component's name.
+	 * @param {!function():(!Promise|!Function)} loader Function that loads the
+	 *     component, returning a promise for its constructor (or for a module
+	 *     that exports it as default), like `() => System.import('./Modal')`.
+	 */
+	registerLazy(name, loader) {
+		this.checkCollision_(name);
+		delete this.components_[name];
+		this.loaders_[name] = loader;
+	}
+
+	/**
+	 * Registers a component lazily in the default registry.
+	 * @param {string} name The component's name.
+	 * @param {!function():(!Promise|!Function)} loader
+	 * @static
+	 */
+	static registerLazy(name, loader) {
+		ComponentRegistry.defaultRegistry.registerLazy(name, loader);
+	}
+
+	/**
+	 * Sets what should be done when a name that is already registered is used
+	 * again.
+	 * @param {string} policy One of the values in
+	 *     `ComponentRegistry.CollisionPolicies`.
+	 */
+	setCollisionPolicy(policy) {
+		var policies = ComponentRegistry.CollisionPolicies;
+		if (policy !== policies.ERROR && policy !== policies.WARN && policy !== policies.REPLACE) {
+			throw new Error('Invalid collision policy "' + policy + '".');
+		}
+		this.collisionPolicy_ = policy;
+	}
+
+	/**
+	 * Disposes all components that were mounted via `mountAll` from the given
+	 * root, and stops observing it for new markers.
+	 * @param {(string|Element)=} opt_root The root element (or a selector for
+	 *     it). Defaults to `document.body`.
+	 */
+	unmountAll(opt_root) {
+		var root = dom.toElement(opt_root) || document.body;
+		this.observers_ = this.observers_.filter(function(info) {
+			if (info.root === root) {
+				info.observer.disconnect();
+				return false;
+			}
+			return true;
+		});
+		this.mounted_ = this.mounted_.filter(function(info) {
+			if (info.root === root) {
+				if (!info.component.isDisposed()) {
+					info.component.dispose();
+				}
+				return false;
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * Disposes all components that were mounted from the given root by the
+	 * default registry.
+	 * @param {(string|Element)=} opt_root
+	 * @static
+	 */
+	static unmountAll(opt_root) {
+		ComponentRegistry.defaultRegistry.unmountAll(opt_root);
+	}
+
+	/**
+	 * Removes the component with the given name from this registry. Components
+	 * registered in ancestor registries are not affected.
+	 * @param {string} name The component's name.
+	 * @return {boolean} Whether a component with the given name was removed.
+	 */
+	unregister(name) {
+		var found = !!(this.components_[name] || this.loaders_[name]);
+		delete this.components_[name];
+		delete this.loaders_[name];
+		delete this.loading_[name];
+		return found;
+	}
+
+	/**
+	 * Removes the component with the given name from the default registry.
+	 * @param {string} name The component's name.
+	 * @return {boolean}
+	 * @static
+	 */
+	static unregister(name) {
+		return ComponentRegistry.defaultRegistry.unregister(name);
 	}
 }
 
 /**
- * Holds all registered components, indexed by their names.
- * @type {!Object<string, function()>}
- * @protected
+ * The possible values for a registry's collision policy:
+ *     ERROR - Throws an error, keeping the existing component.
+ *     WARN - Logs a warning and replaces the existing component.
+ *     REPLACE - Silently replaces the existing component. This is the default.
+ * @type {!Object<string, string>}
+ * @static
+ */
+ComponentRegistry.CollisionPolicies = {
+	ERROR: 'error',
+	REPLACE: 'replace',
+	WARN: 'warn'
+};
+
+/**
+ * The attribute that marks elements that should have components mounted on
+ * them by `mountAll`. Its value should be the component's registered name.
+ * @type {string}
+ * @static
+ */
+ComponentRegistry.MARKER_ATTRIBUTE = 'data-component';
+
+/**
+ * The attribute holding the JSON config for components mounted by `mountAll`.
+ * @type {string}
+ * @static
+ */
+ComponentRegistry.CONFIG_ATTRIBUTE = 'data-config';
+
+/**
+ * The default global registry, used by the static methods.
+ * @type {!ComponentRegistry}
  * @static
  */
-ComponentRegistry.components_ = {};
+ComponentRegistry.defaultRegistry = new ComponentRegistry();
 
 export default ComponentRegistry;
@@ -18,7 +18,8 @@ class ComponentRenderer extends EventEmitter {
 
 		this.componentRendererEvents_ = new EventHandler();
 		this.componentRendererEvents_.add(
-			this.component_.once('render', this.render.bind(this))
+			this.component_.once('render', this.render.bind(this)),
+			this.component_.once('hydrate', this.hydrate.bind(this))
 		);
 
 		if (this.component_.constructor.SYNC_UPDATES_MERGED) {
@@ -46,6 +47,22 @@ class ComponentRenderer extends EventEmitter {
 		this.componentRendererEvents_ = null;
 	}
 
+	/**
+	 * Escapes the given string so it can be safely used as html text or as the
+	 * value of an html attribute.
+	 * @param {*} str
+	 * @return {string}
+	 * @static
+	 */
+	static escapeHtml(str) {
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;')
+			.replace(/'/g, '&#39;');
+	}
+
 	/**
 	 * Handles a `stateChanged` event from this renderer's component. Calls the
 	 * `update` function if the component has already been rendered for the first
@@ -56,8 +73,8 @@ class ComponentRenderer extends EventEmitter {
 	 * @protected
 	 */
 	handleComponentRendererStateChanged_(changes) {
-		if (this.component_.wasRendered) {
-			this.update(changes);
+		if (this.component_.wasRendered && this.shouldUpdate_(changes.changes)) {
+			this.updateSafely_(changes);
 		}
 	}
 
@@ -69,15 +86,25 @@ class ComponentRenderer extends EventEmitter {
 	 * @protected
 	 */
 	handleComponentRendererStateKeyChanged_(data) {
-		if (this.component_.wasRendered) {
-			this.update({
-				changes: {
-					[data.key] : data
-				}
+		var changes = {
+			[data.key] : data
+		};
+		if (this.component_.wasRendered && this.shouldUpdate_(changes)) {
+			this.updateSafely_({
+				changes
 			});
 		}
 	}
 
+	/**
+	 * Hydrates the component's existing markup, instead of rendering it. This is
+	 * called when the component is created via `Component.hydrate`, and should
+	 * not change the DOM. Renderers can override this to add the sub components
+	 * that already exist in the markup, and to report any mismatches between it
+	 * and the component's state via `reportHydrationMismatch`.
+	 */
+	hydrate() {}
+
 	/**
 	 * Renders the component's whole content (including its main element).
 	 */
@@ -87,6 +114,53 @@ class ComponentRenderer extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Renders the component's whole content (including its main element) as an
+	 * html string. This is used when rendering on the server side, so it should
+	 * not rely on the DOM being available. Renderers should override this to
+	 * return their actual markup. The default implementation returns an empty
+	 * div, matching what `render` creates.
+	 * @return {string}
+	 */
+	renderToString() {
+		var component = this.component_;
+		var html = '<div';
+		var classes = component.getElementClasses().trim();
+		if (classes) {
+			html += ' class="' + ComponentRenderer.escapeHtml(classes) + '"';
+		}
+		var attrs = component.getElementAttributes();
+		Object.keys(attrs).forEach(function(name) {
+			html += ' ' + name + '="' + ComponentRenderer.escapeHtml(attrs[name]) + '"';
+		});
+		return html + '></div>';
+	}
+
+	/**
+	 * Checks if the given changes should cause the component to be updated.
+	 * Changes to state keys configured with `render: false` are ignored, as is
+	 * the element being replaced by an error boundary's fallback, which would
+	 * otherwise fail again. The component's `shouldUpdate` lifecycle method has
+	 * the final word on the other ones.
+	 * @param {!Object<string, Object>} changes
+	 * @return {boolean}
+	 * @protected
+	 */
+	shouldUpdate_(changes) {
+		var keys = Object.keys(changes);
+		var renderedKeys = keys.filter(key => {
+			if (key === 'element' && changes[key].newVal === this.component_.fallbackElement_) {
+				return false;
+			}
+			var config = this.component_.getStateKeyConfig(key);
+			return !config || config.render !== false;
+		});
+		if (keys.length > 0 && renderedKeys.length === 0) {
+			return false;
+		}
+		return this.component_.shouldUpdate(changes) !== false;
+	}
+
 	/**
 	 * Updates the component's element html. This is automatically called by
 	 * the component when the value of at least one of its state keys has changed.
@@ -95,6 +169,23 @@ class ComponentRenderer extends EventEmitter {
 	 *     (newVal) and previous (prevVal) values.
 	 */
 	update() {}
+
+	/**
+	 * Calls the component's `willUpdate` lifecycle method and then `update`
+	 * with the given data, routing any error they throw to the component's
+	 * error boundary.
+	 * @param {!Object} data
+	 * @protected
+	 */
+	updateSafely_(data) {
+		var component = this.component_;
+		component.callSafely_(function() {
+			component.willUpdate(data.changes);
+			this.update(data);
+		}.bind(this), {
+			phase: 'update'
+		});
+	}
 }
 
 export default ComponentRenderer;
@@ -0,0 +1,228 @@
+'use strict';
+
+import { async } from 'metal';
+
+/**
+ * Collects the components that have pending state changes and flushes them
+ * together, in tree order. Parents are always updated before their sub
+ * components, so a sub component whose state is also changed by its parent's
+ * update is only updated once, with all the changes it got. By default all
+ * components share `ComponentScheduler.defaultScheduler`, but sub components
+ * always use the scheduler of their parent, so a different one can be set for
+ * a whole app via the root component's `SCHEDULER` static variable.
+ *
+ * Example:
+ *
+ * <code>
+ * var scheduler = new ComponentScheduler(ComponentScheduler.Modes.ANIMATION_FRAME);
+ * MyApp.SCHEDULER = scheduler;
+ * </code>
+ */
+class ComponentScheduler {
+	/**
+	 * Constructor function for `ComponentScheduler`.
+	 * @param {string=} opt_mode When the scheduled components should be flushed.
+	 *     Should be one of the values in `ComponentScheduler.Modes`. Defaults to
+	 *     `NEXT_TICK`.
+	 * @constructor
+	 */
+	constructor(opt_mode) {
+		/**
+		 * Components that were scheduled again after already being flushed in the
+		 * current flush. They'll only be flushed in the next one, so that components
+		 * that keep changing their own state can't block the flush forever.
+		 * @type {!Array<!Component>}
+		 * @protected
+		 */
+		this.deferred_ = [];
+
+		/**
+		 * Components that were already flushed in the current flush.
+		 * @type {!Array<!Component>}
+		 * @protected
+		 */
+		this.flushed_ = [];
+
+		/**
+		 * Whether a flush has already been requested.
+		 * @type {boolean}
+		 * @protected
+		 */
+		this.flushScheduled_ = false;
+
+		/**
+		 * Whether the scheduled components are currently being flushed.
+		 * @type {boolean}
+		 * @protected
+		 */
+		this.flushing_ = false;
+
+		/**
+		 * When the scheduled components should be flushed.
+		 * @type {string}
+		 * @protected
+		 */
+		this.mode_ = null;
+
+		/**
+		 * The components waiting to be flushed.
+		 * @type {!Array<!Component>}
+		 * @protected
+		 */
+		this.queue_ = [];
+
+		this.setMode(opt_mode || ComponentScheduler.Modes.NEXT_TICK);
+	}
+
+	/**
+	 * Updates all the scheduled components right away, in tree order. Components
+	 * scheduled while flushing (like sub components updated by their parents)
+	 * are flushed as well, unless they have already been flushed before.
+	 */
+	flush() {
+		if (this.flushing_) {
+			return;
+		}
+		this.flushScheduled_ = false;
+		this.flushing_ = true;
+		try {
+			while (this.queue_.length) {
+				var component = this.queue_.shift();
+				this.flushed_.push(component);
+				if (!component.isDisposed() && component.scheduledBatchData_) {
+					component.emitBatchEvent_();
+				}
+			}
+		} finally {
+			// If an update throws, the remaining components are left for the next
+			// flush, so that the scheduler doesn't get stuck.
+			this.flushing_ = false;
+			this.flushed_ = [];
+
+			var deferred = this.deferred_;
+			this.deferred_ = [];
+			deferred.forEach(this.schedule.bind(this));
+			if (this.queue_.length) {
+				this.requestFlush_();
+			}
+		}
+	}
+
+	/**
+	 * Gets the depth of the given component in its tree, that is, how many
+	 * parents it has.
+	 * @param {!Component} component
+	 * @return {number}
+	 * @protected
+	 * @static
+	 */
+	static getDepth_(component) {
+		var depth = 0;
+		var parent = component.getParent();
+		while (parent) {
+			depth++;
+			parent = parent.getParent();
+		}
+		return depth;
+	}
+
+	/**
+	 * Gets the mode that defines when scheduled components are flushed.
+	 * @return {string}
+	 */
+	getMode() {
+		return this.mode_;
+	}
+
+	/**
+	 * Checks if the given component is waiting to be flushed.
+	 * @param {!Component} component
+	 * @return {boolean}
+	 */
+	isScheduled(component) {
+		return this.queue_.indexOf(component) !== -1 || this.deferred_.indexOf(component) !== -1;
+	}
+
+	/**
+	 * Requests the next flush, according to the current mode.
+	 * @protected
+	 */
+	requestFlush_() {
+		if (this.flushScheduled_ || this.flushing_) {
+			return;
+		}
+		this.flushScheduled_ = true;
+		var flush = this.flush.bind(this);
+		var useFrame = this.mode_ === ComponentScheduler.Modes.ANIMATION_FRAME &&
+			typeof requestAnimationFrame !== 'undefined';
+		if (useFrame) {
+			requestAnimationFrame(flush);
+		} else if (this.mode_ === ComponentScheduler.Modes.MICROTASK) {
+			Promise.resolve().then(flush);
+		} else {
+			async.nextTick(flush);
+		}
+	}
+
+	/**
+	 * Schedules the given component to have its pending state changes flushed.
+	 * The component is placed after all components that are not deeper than it
+	 * in their trees, so parents are always flushed before their sub components.
+	 * @param {!Component} component
+	 */
+	schedule(component) {
+		if (this.isScheduled(component)) {
+			return;
+		}
+		if (this.flushing_ && this.flushed_.indexOf(component) !== -1) {
+			this.deferred_.push(component);
+			return;
+		}
+
+		var depth = ComponentScheduler.getDepth_(component);
+		var index = this.queue_.length;
+		while (index > 0 && ComponentScheduler.getDepth_(this.queue_[index - 1]) > depth) {
+			index--;
+		}
+		this.queue_.splice(index, 0, component);
+		this.requestFlush_();
+	}
+
+	/**
+	 * Sets the mode that defines when scheduled components are flushed. Only
+	 * affects the flushes requested after this call.
+	 * @param {string} mode One of the values in `ComponentScheduler.Modes`.
+	 */
+	setMode(mode) {
+		var modes = ComponentScheduler.Modes;
+		if (mode !== modes.ANIMATION_FRAME && mode !== modes.MICROTASK && mode !== modes.NEXT_TICK) {
+			throw new Error('Invalid scheduler mode "' + mode + '".');
+		}
+		this.mode_ = mode;
+	}
+}
+
+/**
+ * The possible values for a scheduler's mode:
+ *     ANIMATION_FRAME - Flushes on the next animation frame, falling back to
+ *         `NEXT_TICK` when `requestAnimationFrame` is not available.
+ *     MICROTASK - Flushes on a microtask, right after the current task.
+ *     NEXT_TICK - Flushes asynchronously via `async.nextTick`, which is how
+ *         state changes are batched by default.
+ * @type {!Object<string, string>}
+ * @static
+ */
+ComponentScheduler.Modes = {
+	ANIMATION_FRAME: 'animationFrame',
+	MICROTASK: 'microtask',
+	NEXT_TICK: 'nextTick'
+};
+
+/**
+ * The scheduler used by components that don't specify a different one.
+ * @type {!ComponentScheduler}
+ * @static
+ */
+ComponentScheduler.defaultScheduler = new ComponentScheduler();
+
+export default ComponentScheduler;
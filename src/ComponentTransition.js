@@ -0,0 +1,160 @@
+'use strict';
+
+import { core } from 'metal';
+import { dom, features } from 'metal-dom';
+import { EventHandler } from 'metal-events';
+
+/**
+ * Runs a single enter or leave transition on a component's element, as
+ * configured by the component's `TRANSITION` static variable. The CSS classes
+ * for the transition's type are added to the element, and removed again once
+ * the element's CSS transition or animation ends. If `duration` is given,
+ * the transition ends after that many milliseconds instead. Either way, it
+ * never takes longer than `timeout`, in case the end event is never fired.
+ *
+ * Example:
+ *
+ * <code>
+ * MyComponent.TRANSITION = {
+ *   enter: 'fade-in',
+ *   leave: 'fade-out',
+ *   timeout: 500
+ * };
+ * </code>
+ */
+class ComponentTransition {
+	/**
+	 * Constructor function for `ComponentTransition`.
+	 * @param {!Element} element The element that will be transitioned.
+	 * @param {string} type The type of the transition, either "enter" or "leave".
+	 * @param {!{enter: string, leave: string, duration: number, timeout: number}} config
+	 * @constructor
+	 */
+	constructor(element, type, config) {
+		/**
+		 * The CSS classes that are added to the element during the transition.
+		 * @type {string}
+		 * @protected
+		 */
+		this.classes_ = config[type] || '';
+
+		/**
+		 * The transition's configuration.
+		 * @type {!Object}
+		 * @protected
+		 */
+		this.config_ = config;
+
+		/**
+		 * The element being transitioned.
+		 * @type {!Element}
+		 * @protected
+		 */
+		this.element_ = element;
+
+		/**
+		 * Holds the listeners for the element's end events.
+		 * @type {!EventHandler}
+		 * @protected
+		 */
+		this.eventHandler_ = new EventHandler();
+
+		/**
+		 * Function that resolves the promise returned by `start`.
+		 * @type {function(boolean)}
+		 * @protected
+		 */
+		this.resolveFn_ = null;
+
+		/**
+		 * The id of the timer that ends the transition.
+		 * @type {?number}
+		 * @protected
+		 */
+		this.timer_ = null;
+
+		/**
+		 * The type of the transition, either "enter" or "leave".
+		 * @type {string}
+		 */
+		this.type = type;
+	}
+
+	/**
+	 * Stops the transition before it ends, removing its CSS classes. The
+	 * promise returned by `start` resolves with false.
+	 */
+	cancel() {
+		this.end_(false);
+	}
+
+	/**
+	 * Ends the transition, cleaning up its CSS classes, listeners and timer.
+	 * @param {boolean} completed
+	 * @protected
+	 */
+	end_(completed) {
+		if (!this.resolveFn_) {
+			return;
+		}
+		clearTimeout(this.timer_);
+		this.eventHandler_.removeAllListeners();
+		if (this.classes_) {
+			dom.removeClasses(this.element_, this.classes_);
+		}
+		var resolveFn = this.resolveFn_;
+		this.resolveFn_ = null;
+		resolveFn(completed);
+	}
+
+	/**
+	 * Handles an end event from the element, ignoring the ones that bubbled
+	 * from its descendants.
+	 * @param {!Event} event
+	 * @protected
+	 */
+	handleEndEvent_(event) {
+		if (event.target === this.element_) {
+			this.end_(true);
+		}
+	}
+
+	/**
+	 * Starts the transition.
+	 * @return {!Promise<boolean>} Resolves with true once the transition ends,
+	 *     or with false if it's canceled.
+	 */
+	start() {
+		var promise = new Promise(resolve => this.resolveFn_ = resolve);
+		if (this.classes_) {
+			dom.addClasses(this.element_, this.classes_);
+		}
+
+		var timeout = this.config_.timeout;
+		if (core.isNumber(this.config_.duration)) {
+			timeout = this.config_.duration;
+		} else {
+			var eventNames = features.checkAnimationEventName();
+			var handleEndEvent = this.handleEndEvent_.bind(this);
+			this.eventHandler_.add(
+				dom.on(this.element_, eventNames.animation, handleEndEvent),
+				dom.on(this.element_, eventNames.transition, handleEndEvent)
+			);
+		}
+		if (!core.isNumber(timeout)) {
+			timeout = ComponentTransition.DEFAULT_TIMEOUT;
+		}
+		this.timer_ = setTimeout(this.end_.bind(this, true), timeout);
+		return promise;
+	}
+}
+
+/**
+ * How many milliseconds to wait for the end events of a transition that
+ * doesn't specify its `duration` or `timeout`.
+ * @type {number}
+ * @static
+ */
+ComponentTransition.DEFAULT_TIMEOUT = 1000;
+
+export default ComponentTransition;
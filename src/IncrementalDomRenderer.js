@@ -0,0 +1,708 @@
+'use strict';
+
+import { array, core, object } from 'metal';
+import Component from './Component';
+import ComponentRenderer from './ComponentRenderer';
+
+/**
+ * Renderer that builds the component's content from a tree of virtual nodes,
+ * patching only the parts of the DOM that actually changed on each update.
+ * Components using this renderer should implement a `renderTree` method,
+ * which receives the `h` function to create nodes and should return the node
+ * for the component's main element.
+ *
+ * Example:
+ *
+ * <code>
+ * class MyComponent extends Component {
+ *   renderTree(h) {
+ *     return h('div', {class: 'list'},
+ *       this.items.map(item => h('span', {key: item.id}, item.name)),
+ *       h(ChildComponent, {ref: 'child', foo: this.foo})
+ *     );
+ *   }
+ * }
+ * MyComponent.RENDERER = IncrementalDomRenderer;
+ * </code>
+ *
+ * Since existing nodes are reused and only changed attributes are touched,
+ * things like focus and selection are preserved across updates. Nodes created
+ * with a component constructor become sub components, which are reused when
+ * their ref stays the same, and whose elements are never patched by the parent.
+ * A `portal` can also be passed to them, to have their elements rendered into
+ * another container (see `Component#addSubComponent`). Portals are not supported
+ * when rendering to a string or hydrating though.
+ */
+class IncrementalDomRenderer extends ComponentRenderer {
+	/**
+	 * @inheritDoc
+	 */
+	constructor(component) {
+		super(component);
+
+		/**
+		 * The refs of the sub components found while building the current tree.
+		 * @type {Object<string, boolean>}
+		 * @protected
+		 */
+		this.renderedRefs_ = null;
+
+		/**
+		 * The tree that was last rendered to the component's element.
+		 * @type {Object}
+		 * @protected
+		 */
+		this.tree_ = null;
+	}
+
+	/**
+	 * Builds the attributes of the main element, including the component's
+	 * element classes and the attributes it sets itself, like its visibility
+	 * (see `Component#getElementAttributes`).
+	 * @param {!Object} attrs
+	 * @return {!Object}
+	 * @protected
+	 */
+	buildRootAttributes_(attrs) {
+		var component = this.component_;
+		var rootAttrs = object.mixin({}, attrs);
+		var classes = ((attrs.class || '') + ' ' + component.getElementClasses()).trim();
+		if (classes) {
+			rootAttrs.class = classes;
+		}
+		var elementAttrs = component.getElementAttributes();
+		Object.keys(elementAttrs).forEach(function(name) {
+			var value = elementAttrs[name];
+			if (name === 'style' && attrs.style) {
+				value = attrs.style + ';' + value;
+			}
+			rootAttrs[name] = value;
+		});
+		return rootAttrs;
+	}
+
+	/**
+	 * Builds the config object for a sub component virtual node.
+	 * @param {!Object} vnode
+	 * @return {!Object}
+	 * @protected
+	 */
+	buildSubComponentConfig_(vnode) {
+		var config = object.mixin({}, vnode.config);
+		delete config.portal;
+		delete config.ref;
+		return config;
+	}
+
+	/**
+	 * Builds a new tree by calling the component's `renderTree` method.
+	 * @return {!Object}
+	 * @protected
+	 */
+	buildTree_() {
+		var tree = this.component_.renderTree(IncrementalDomRenderer.h);
+		if (!tree || !tree.tag) {
+			throw new Error(
+				'The "renderTree" method of the component "' +
+				core.getFunctionName(this.component_.constructor) + '" should return ' +
+				'a single element node.'
+			);
+		}
+		return tree;
+	}
+
+	/**
+	 * Creates the DOM node for the given virtual node.
+	 * @param {!Object} vnode
+	 * @param {Element} parentNode The node the created node will be appended to.
+	 * @return {!Node}
+	 * @protected
+	 */
+	createNode_(vnode, parentNode) {
+		if (vnode.ctor) {
+			return this.renderSubComponent_(vnode, parentNode);
+		}
+		if (!vnode.tag) {
+			vnode.node = document.createTextNode(vnode.text);
+			return vnode.node;
+		}
+
+		var element = document.createElement(vnode.tag);
+		vnode.node = element;
+		this.patchAttributes_(vnode, {});
+		for (var i = 0; i < vnode.children.length; i++) {
+			element.appendChild(this.createNode_(vnode.children[i], element));
+		}
+		return element;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	disposeInternal() {
+		super.disposeInternal();
+		this.tree_ = null;
+	}
+
+	/**
+	 * Disposes the sub components that were rendered before, but not anymore.
+	 * @param {!Object<string, boolean>} prevRefs
+	 * @protected
+	 */
+	disposeUnusedSubComponents_(prevRefs) {
+		var refs = Object.keys(prevRefs).filter(function(ref) {
+			return !this.renderedRefs_[ref];
+		}.bind(this));
+		this.component_.disposeSubComponents(refs);
+	}
+
+	/**
+	 * Gets the key used to match virtual nodes between renders.
+	 * @param {!Object} vnode
+	 * @return {?string}
+	 * @protected
+	 */
+	static getKey_(vnode) {
+		if (vnode.ctor) {
+			return 'ref:' + vnode.ref;
+		}
+		if (vnode.attrs && core.isDefAndNotNull(vnode.attrs.key)) {
+			return 'key:' + vnode.attrs.key;
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the refs of all sub components in the given tree.
+	 * @param {Object} vnode
+	 * @param {Object<string, boolean>=} opt_refs
+	 * @return {!Object<string, boolean>}
+	 * @protected
+	 */
+	getSubComponentRefs_(vnode, opt_refs) {
+		var refs = opt_refs || {};
+		if (vnode && vnode.ctor) {
+			refs[vnode.ref] = true;
+		} else if (vnode && vnode.tag) {
+			for (var i = 0; i < vnode.children.length; i++) {
+				this.getSubComponentRefs_(vnode.children[i], refs);
+			}
+		}
+		return refs;
+	}
+
+	/**
+	 * Creates a virtual node. The first param can be a tag name or a component
+	 * constructor, in which case the attributes will be used as the config for
+	 * the sub component, and should contain a `ref`.
+	 * @param {string|!function()} tagOrCtor
+	 * @param {Object=} opt_attrs
+	 * @param {...*} var_children Child nodes, strings, numbers or arrays of
+	 *     them. Null, undefined and boolean values are ignored.
+	 * @return {!Object}
+	 * @static
+	 */
+	static h(tagOrCtor, opt_attrs) {
+		var attrs = opt_attrs || {};
+		var children = IncrementalDomRenderer.normalizeChildren_(
+			array.flatten(array.slice(arguments, 2))
+		);
+		if (core.isFunction(tagOrCtor)) {
+			if (!core.isDefAndNotNull(attrs.ref)) {
+				throw new Error(
+					'Sub components rendered by IncrementalDomRenderer need a ref, but ' +
+					'none was given for "' + core.getFunctionName(tagOrCtor) + '".'
+				);
+			}
+			return {
+				children: children,
+				config: attrs,
+				ctor: tagOrCtor,
+				ref: attrs.ref
+			};
+		}
+		return {
+			attrs: attrs,
+			children: children,
+			tag: tagOrCtor
+		};
+	}
+
+	/**
+	 * Hydrates the component's existing element, associating it with the tree
+	 * built by the component, so that later updates can patch it. If the markup
+	 * doesn't have the same structure as the tree, the tree is rendered into
+	 * the element instead.
+	 */
+	hydrate() {
+		this.renderedRefs_ = {};
+		this.tree_ = this.buildTree_();
+		var element = this.component_.element;
+		if (!this.hydrateNode_(this.tree_, element)) {
+			this.component_.element = this.renderIntoElement_(this.tree_, element);
+		}
+		this.renderedRefs_ = null;
+	}
+
+	/**
+	 * Associates the children of the given virtual node with the child nodes of
+	 * the existing element. Adjacent text children are parsed as a single text
+	 * node when rendered to a string, so these are split back here.
+	 * @param {!Object} vnode
+	 * @param {!Element} element
+	 * @return {boolean} Whether the children have the same structure.
+	 * @protected
+	 */
+	hydrateChildren_(vnode, element) {
+		var node = element.firstChild;
+		for (var i = 0; i < vnode.children.length; i++) {
+			var child = vnode.children[i];
+			var next = vnode.children[i + 1];
+			if (!child.tag && !child.ctor) {
+				var isText = node && node.nodeType === 3;
+				if (isText && next && !next.tag && !next.ctor && node.nodeValue.length > child.text.length) {
+					node.splitText(child.text.length);
+				} else if (!isText && !child.text) {
+					node = element.insertBefore(document.createTextNode(''), node);
+				}
+			}
+			if (!this.hydrateNode_(child, node)) {
+				return false;
+			}
+			node = node.nextSibling;
+		}
+		return true;
+	}
+
+	/**
+	 * Associates the given virtual node with the existing DOM node, reporting
+	 * any mismatches.
+	 * @param {!Object} vnode
+	 * @param {Node} node
+	 * @return {boolean} Whether the node has the same structure as the virtual
+	 *     node. Text content mismatches are only reported.
+	 * @protected
+	 */
+	hydrateNode_(vnode, node) {
+		var component = this.component_;
+		if (!node) {
+			component.reportHydrationMismatch('node', vnode.tag || vnode.text, null);
+			return false;
+		}
+
+		if (vnode.ctor) {
+			this.renderedRefs_[vnode.ref] = true;
+			var config = this.buildSubComponentConfig_(vnode);
+			config.element = node;
+			component.addSubComponent(vnode.ref, new vnode.ctor(config, false));
+		} else if (!vnode.tag) {
+			if (node.nodeType !== 3) {
+				component.reportHydrationMismatch('node', vnode.text, node.nodeName);
+				return false;
+			}
+			if (node.nodeValue !== vnode.text) {
+				component.reportHydrationMismatch('text', vnode.text, node.nodeValue);
+			}
+		} else if (node.nodeType !== 1 || node.tagName.toLowerCase() !== vnode.tag.toLowerCase()) {
+			component.reportHydrationMismatch('tag', vnode.tag, node.nodeName);
+			return false;
+		} else if (!this.hydrateChildren_(vnode, node)) {
+			return false;
+		}
+		vnode.node = node;
+		return true;
+	}
+
+	/**
+	 * Checks if the given attribute should be rendered.
+	 * @param {string} name
+	 * @param {*} value
+	 * @return {boolean}
+	 * @protected
+	 */
+	static isRenderedAttribute_(name, value) {
+		return name !== 'key' && core.isDefAndNotNull(value) && value !== false;
+	}
+
+	/**
+	 * Checks if the two given portal options point to the same target with the
+	 * same `bubbles` behavior. Portals can be given either as their target or as
+	 * an object with their options.
+	 * @param {*} portal1
+	 * @param {*} portal2
+	 * @return {boolean}
+	 * @protected
+	 */
+	static isSamePortal_(portal1, portal2) {
+		if (!portal1 || !portal2) {
+			return Boolean(portal1) === Boolean(portal2);
+		}
+		var isTarget1 = core.isString(portal1) || core.isElement(portal1);
+		var isTarget2 = core.isString(portal2) || core.isElement(portal2);
+		var target1 = isTarget1 ? portal1 : portal1.target;
+		var target2 = isTarget2 ? portal2 : portal2.target;
+		var bubbles1 = isTarget1 || portal1.bubbles !== false;
+		var bubbles2 = isTarget2 || portal2.bubbles !== false;
+		return target1 === target2 && bubbles1 === bubbles2;
+	}
+
+	/**
+	 * Checks if the two given virtual nodes can be patched into one another.
+	 * @param {!Object} vnode1
+	 * @param {!Object} vnode2
+	 * @return {boolean}
+	 * @protected
+	 */
+	static isSameType_(vnode1, vnode2) {
+		if (vnode1.ctor || vnode2.ctor) {
+			return vnode1.ctor === vnode2.ctor && vnode1.ref === vnode2.ref;
+		}
+		return vnode1.tag === vnode2.tag;
+	}
+
+	/**
+	 * Converts all strings and numbers in the given children array into text
+	 * nodes, ignoring empty values.
+	 * @param {!Array} children
+	 * @return {!Array<!Object>}
+	 * @protected
+	 */
+	static normalizeChildren_(children) {
+		var normalized = [];
+		for (var i = 0; i < children.length; i++) {
+			var child = children[i];
+			if (core.isString(child) || core.isNumber(child)) {
+				normalized.push({
+					text: String(child)
+				});
+			} else if (core.isObject(child)) {
+				normalized.push(child);
+			}
+		}
+		return normalized;
+	}
+
+	/**
+	 * Updates the attributes of the given virtual node's element, touching only
+	 * the ones that have changed since the previous render. The `value`,
+	 * `checked` and `selected` attributes are set as properties, and only when
+	 * they differ from the element's current value, so that the caret position
+	 * is kept. The attributes of the tree's root are merged with the ones the
+	 * component sets itself, so that these are kept when patching.
+	 * @param {!Object} vnode
+	 * @param {!Object} prevAttrs The attributes of the previous virtual node,
+	 *     which should also be merged if it was the root.
+	 * @protected
+	 */
+	patchAttributes_(vnode, prevAttrs) {
+		var element = vnode.node;
+		var attrs = vnode.attrs;
+		if (vnode === this.tree_) {
+			attrs = this.buildRootAttributes_(attrs);
+		}
+		var names = Object.keys(attrs);
+		for (var i = 0; i < names.length; i++) {
+			var name = names[i];
+			if (attrs[name] !== prevAttrs[name]) {
+				this.setAttribute_(element, name, attrs[name]);
+			}
+		}
+
+		names = Object.keys(prevAttrs);
+		for (i = 0; i < names.length; i++) {
+			if (!attrs.hasOwnProperty(names[i])) {
+				this.setAttribute_(element, names[i], null);
+			}
+		}
+	}
+
+	/**
+	 * Patches the children of the given element, so they match the new virtual
+	 * nodes. Existing nodes are reused whenever possible, either by matching
+	 * their keys (or refs for sub components) or their position and type.
+	 * @param {!Element} element
+	 * @param {!Array<!Object>} prevChildren
+	 * @param {!Array<!Object>} children
+	 * @protected
+	 */
+	patchChildren_(element, prevChildren, children) {
+		var key;
+		var keyed = {};
+		var unkeyed = [];
+		for (var i = 0; i < prevChildren.length; i++) {
+			key = IncrementalDomRenderer.getKey_(prevChildren[i]);
+			if (key) {
+				keyed[key] = prevChildren[i];
+			} else {
+				unkeyed.push(prevChildren[i]);
+			}
+		}
+
+		var unkeyedIndex = 0;
+		var used = [];
+		for (i = 0; i < children.length; i++) {
+			var child = children[i];
+			var match = null;
+			key = IncrementalDomRenderer.getKey_(child);
+			if (key) {
+				match = keyed[key];
+				keyed[key] = null;
+			} else if (unkeyedIndex < unkeyed.length) {
+				match = unkeyed[unkeyedIndex++];
+			}
+
+			var node;
+			if (match && IncrementalDomRenderer.isSameType_(match, child)) {
+				node = this.patchNode_(match, child);
+				used.push(match);
+			} else {
+				node = this.createNode_(child, element);
+			}
+
+			var current = element.childNodes[i] || null;
+			if (current !== node) {
+				element.insertBefore(node, current);
+			}
+		}
+
+		for (i = 0; i < prevChildren.length; i++) {
+			var prevNode = prevChildren[i].node;
+			if (used.indexOf(prevChildren[i]) === -1 && prevNode && prevNode.parentNode === element) {
+				element.removeChild(prevNode);
+			}
+		}
+	}
+
+	/**
+	 * Patches the node of the previous virtual node so it matches the new one,
+	 * which is assumed to have the same type.
+	 * @param {!Object} prevVnode
+	 * @param {!Object} vnode
+	 * @return {!Node} The patched node.
+	 * @protected
+	 */
+	patchNode_(prevVnode, vnode) {
+		var node = prevVnode.node;
+		vnode.node = node;
+		if (vnode.ctor) {
+			this.renderedRefs_[vnode.ref] = true;
+			var component = this.component_.components[vnode.ref];
+			if (!IncrementalDomRenderer.isSamePortal_(prevVnode.config.portal, vnode.config.portal)) {
+				node = this.patchPortal_(vnode, component, node);
+			}
+			component.setState(this.buildSubComponentConfig_(vnode));
+			vnode.node = component.portal_ ? node : component.element;
+		} else if (!vnode.tag) {
+			if (prevVnode.text !== vnode.text) {
+				node.nodeValue = vnode.text;
+			}
+		} else {
+			var prevAttrs = prevVnode.attrs;
+			if (vnode === this.tree_) {
+				prevAttrs = this.buildRootAttributes_(prevAttrs);
+			}
+			this.patchAttributes_(vnode, prevAttrs);
+			this.patchChildren_(node, prevVnode.children, vnode.children);
+		}
+		return vnode.node;
+	}
+
+	/**
+	 * Updates the portal of the given sub component, moving its element to the
+	 * new target, or back into the tree when it's not a portal anymore.
+	 * @param {!Object} vnode The sub component's new virtual node.
+	 * @param {!Component} component
+	 * @param {!Node} node The node currently rendered in the tree for the sub
+	 *     component, which is a placeholder comment if it was a portal.
+	 * @return {!Node} The placeholder comment to be used in the tree if the sub
+	 *     component is still a portal, or the given node otherwise.
+	 * @protected
+	 */
+	patchPortal_(vnode, component, node) {
+		var wasPortal = !!component.portal_;
+		this.component_.addSubComponent(vnode.ref, component, vnode.config.portal);
+		if (component.portal_) {
+			if (!wasPortal) {
+				node = document.createComment('');
+			}
+			component.renderElement_();
+		} else if (wasPortal && node.parentNode) {
+			node.parentNode.removeChild(node);
+		}
+		return node;
+	}
+
+	/**
+	 * Builds the component's tree and creates its element from it.
+	 */
+	render() {
+		this.renderedRefs_ = {};
+		this.tree_ = this.buildTree_();
+		this.component_.element = this.renderIntoElement_(this.tree_, this.component_.element);
+		this.renderedRefs_ = null;
+		this.emit('rendered', true);
+	}
+
+	/**
+	 * Renders the component's tree into the element it was given, if any. The
+	 * element is reused when its tag matches the tree's root, having its
+	 * content replaced, and is replaced in place by the rendered element
+	 * otherwise.
+	 * @param {!Object} vnode The root of the tree.
+	 * @param {Element} prevElement
+	 * @return {!Element}
+	 * @protected
+	 */
+	renderIntoElement_(vnode, prevElement) {
+		if (!prevElement || prevElement.tagName.toLowerCase() !== vnode.tag.toLowerCase()) {
+			var element = this.createNode_(vnode, null);
+			if (prevElement && prevElement.parentNode) {
+				prevElement.parentNode.replaceChild(element, prevElement);
+			}
+			return element;
+		}
+
+		vnode.node = prevElement;
+		while (prevElement.firstChild) {
+			prevElement.removeChild(prevElement.firstChild);
+		}
+		this.patchAttributes_(vnode, {});
+		for (var i = 0; i < vnode.children.length; i++) {
+			prevElement.appendChild(this.createNode_(vnode.children[i], prevElement));
+		}
+		return prevElement;
+	}
+
+	/**
+	 * Renders the given virtual node as an html string.
+	 * @param {!Object} vnode
+	 * @param {boolean=} opt_isRoot
+	 * @return {string}
+	 * @protected
+	 */
+	renderNodeToString_(vnode, opt_isRoot) {
+		if (vnode.ctor) {
+			return Component.renderToString(vnode.ctor, this.buildSubComponentConfig_(vnode));
+		}
+		if (!vnode.tag) {
+			return ComponentRenderer.escapeHtml(vnode.text);
+		}
+
+		var html = '<' + vnode.tag;
+		var attrs = vnode.attrs;
+		if (opt_isRoot) {
+			attrs = this.buildRootAttributes_(attrs);
+		}
+		var names = Object.keys(attrs);
+		for (var i = 0; i < names.length; i++) {
+			var value = attrs[names[i]];
+			if (IncrementalDomRenderer.isRenderedAttribute_(names[i], value)) {
+				html += ' ' + names[i];
+				if (value !== true) {
+					html += '="' + ComponentRenderer.escapeHtml(value) + '"';
+				}
+			}
+		}
+		html += '>';
+		if (IncrementalDomRenderer.VOID_ELEMENTS.indexOf(vnode.tag.toLowerCase()) !== -1) {
+			return html;
+		}
+		for (i = 0; i < vnode.children.length; i++) {
+			html += this.renderNodeToString_(vnode.children[i]);
+		}
+		return html + '</' + vnode.tag + '>';
+	}
+
+	/**
+	 * Creates and renders the sub component for the given virtual node.
+	 * @param {!Object} vnode
+	 * @param {Element} parentNode
+	 * @return {!Element} The sub component's element.
+	 * @protected
+	 */
+	renderSubComponent_(vnode, parentNode) {
+		this.renderedRefs_[vnode.ref] = true;
+		var component = this.component_.components[vnode.ref];
+		if (!component || component.constructor !== vnode.ctor) {
+			this.component_.disposeSubComponents([vnode.ref]);
+			component = new vnode.ctor(this.buildSubComponentConfig_(vnode), false);
+			this.component_.addSubComponent(vnode.ref, component, vnode.config.portal);
+		}
+		if (component.wasRendered) {
+			component.setState(this.buildSubComponentConfig_(vnode));
+		} else {
+			component.render_(parentNode || false);
+		}
+		// Sub components rendered through portals leave only an empty comment in
+		// their parent's element, marking where they belong in the tree.
+		vnode.node = component.portal_ ? document.createComment('') : component.element;
+		return vnode.node;
+	}
+
+	/**
+	 * Renders the component's tree as an html string.
+	 * @return {string}
+	 */
+	renderToString() {
+		this.tree_ = this.buildTree_();
+		return this.renderNodeToString_(this.tree_, true);
+	}
+
+	/**
+	 * Sets the given attribute value on the element, or removes it when the
+	 * value is null, undefined or false.
+	 * @param {!Element} element
+	 * @param {string} name
+	 * @param {*} value
+	 * @protected
+	 */
+	setAttribute_(element, name, value) {
+		if (name === 'key') {
+			return;
+		}
+		if (name === 'value' || name === 'checked' || name === 'selected') {
+			if (element[name] !== value) {
+				element[name] = name === 'value' && !core.isDefAndNotNull(value) ? '' : value;
+			}
+			return;
+		}
+		if (IncrementalDomRenderer.isRenderedAttribute_(name, value)) {
+			element.setAttribute(name, value === true ? '' : value);
+		} else {
+			element.removeAttribute(name);
+		}
+	}
+
+	/**
+	 * Builds a new tree and patches the component's element so it matches it.
+	 */
+	update() {
+		var prevTree = this.tree_;
+		var prevRefs = this.getSubComponentRefs_(prevTree);
+		this.renderedRefs_ = {};
+		this.tree_ = this.buildTree_();
+		if (IncrementalDomRenderer.isSameType_(prevTree, this.tree_)) {
+			this.patchNode_(prevTree, this.tree_);
+		} else {
+			var prevElement = this.component_.element;
+			var element = this.createNode_(this.tree_, null);
+			if (prevElement && prevElement.parentNode) {
+				prevElement.parentNode.replaceChild(element, prevElement);
+			}
+			this.component_.element = element;
+		}
+		this.disposeUnusedSubComponents_(prevRefs);
+		this.renderedRefs_ = null;
+		this.emit('rendered', false);
+	}
+}
+
+/**
+ * Tags of elements that have no closing tag when rendered as html strings.
+ * @type {!Array<string>}
+ * @static
+ */
+IncrementalDomRenderer.VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img',
+	'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+export default IncrementalDomRenderer;
@@ -0,0 +1,678 @@
+'use strict';
+
+import { array, core, object } from 'metal';
+import ComponentRenderer from './ComponentRenderer';
+
+/**
+ * Renderer for components that describe their content through a static
+ * `TEMPLATE` function, which receives the component's state and returns an
+ * html template literal tagged with `TemplateRenderer.html`. Holes in the
+ * template can either be inside attribute values or in text positions, and
+ * can be given directly as values, or as functions that receive the state.
+ *
+ * Example:
+ *
+ * <code>
+ * class MyComponent extends Component {
+ * }
+ * MyComponent.RENDERER = TemplateRenderer;
+ * MyComponent.TEMPLATE = function(state) {
+ *   return TemplateRenderer.html`<div class="${state.cssClass}">
+ *     ${state => state.title}
+ *   </div>`;
+ * };
+ * </code>
+ *
+ * The renderer tracks which state keys each hole depends on, so that updates
+ * only rewrite the text nodes and attributes whose holes were affected by the
+ * changes. Function holes are tracked individually, while plain values depend
+ * on all keys read while running `TEMPLATE` itself.
+ */
+class TemplateRenderer extends ComponentRenderer {
+	/**
+	 * @inheritDoc
+	 */
+	constructor(component) {
+		super(component);
+
+		/**
+		 * The keys read while running the `TEMPLATE` function.
+		 * @type {Object<string, boolean>}
+		 * @protected
+		 */
+		this.templateDeps_ = null;
+
+		/**
+		 * The holes of the rendered template, with their current values, state key
+		 * dependencies and the DOM parts they were rendered to.
+		 * @type {Array<!Object>}
+		 * @protected
+		 */
+		this.holes_ = null;
+
+		/**
+		 * The last template returned by the `TEMPLATE` function.
+		 * @type {Object}
+		 * @protected
+		 */
+		this.template_ = null;
+	}
+
+	/**
+	 * Adds the component's element classes and the attributes it sets itself,
+	 * like its visibility (see `Component#getElementAttributes`), to the first
+	 * tag of the given html string.
+	 * @param {string} html
+	 * @return {string}
+	 * @protected
+	 */
+	addRootAttributesToString_(html) {
+		var component = this.component_;
+		var rootAttrs = {};
+		var classes = component.getElementClasses().trim();
+		if (classes) {
+			rootAttrs.class = classes;
+		}
+		object.mixin(rootAttrs, component.getElementAttributes());
+		return html.replace(/^(\s*<[\w-]+)([^>]*)>/, function(tag, start, attrs) {
+			Object.keys(rootAttrs).forEach(function(name) {
+				var value = ComponentRenderer.escapeHtml(rootAttrs[name]);
+				var regex = new RegExp('(\\s' + name + '=")([^"]*)"');
+				if (!regex.test(attrs)) {
+					attrs += ' ' + name + '="' + value + '"';
+					return;
+				}
+				attrs = attrs.replace(regex, function(attr, prefix, prevValue) {
+					if (prevValue && (name === 'class' || name === 'style')) {
+						value = prevValue + (name === 'class' ? ' ' : ';') + value;
+					}
+					return prefix + value + '"';
+				});
+			});
+			return start + attrs + '>';
+		});
+	}
+
+	/**
+	 * Builds the value of an attribute part, from its strings and the current
+	 * values of its holes.
+	 * @param {!Object} part
+	 * @return {*} The value, or the hole value itself when the attribute is made
+	 *     of a single hole.
+	 * @protected
+	 */
+	buildAttributeValue_(part) {
+		var strings = part.strings;
+		if (strings.length === 2 && !strings[0] && !strings[1]) {
+			return this.holes_[part.holes[0]].value;
+		}
+
+		var value = strings[0];
+		for (var i = 0; i < part.holes.length; i++) {
+			value += TemplateRenderer.toText_(this.holes_[part.holes[i]].value) + strings[i + 1];
+		}
+		return value;
+	}
+
+	/**
+	 * Builds the DOM for the given template, collecting the parts that each of
+	 * its holes was rendered to.
+	 * @param {!Object} template
+	 * @return {!Element}
+	 * @protected
+	 */
+	buildElement_(template) {
+		var html = '';
+		var strings = template.strings;
+		for (var i = 0; i < strings.length; i++) {
+			html += strings[i];
+			if (i < strings.length - 1) {
+				if (this.holes_[i].attribute) {
+					html += TemplateRenderer.buildMarker_(i);
+				} else {
+					html += '<!--' + TemplateRenderer.buildMarker_(i) + '-->';
+				}
+			}
+		}
+
+		var container = document.createElement('div');
+		container.innerHTML = html.trim();
+		var element = container.firstElementChild;
+		if (!element || container.childNodes.length !== 1) {
+			throw new Error(
+				'The template of the component "' +
+				core.getFunctionName(this.component_.constructor) + '" should have ' +
+				'a single root element.'
+			);
+		}
+		container.removeChild(element);
+		this.collectParts_(element, element);
+		return element;
+	}
+
+	/**
+	 * Builds the marker that temporarily represents a hole in the html string.
+	 * Text holes have it wrapped in a comment.
+	 * @param {number} index
+	 * @return {string}
+	 * @protected
+	 */
+	static buildMarker_(index) {
+		return '{{hole:' + index + '}}';
+	}
+
+	/**
+	 * Stores the part for the given attribute, which contains hole markers, and
+	 * sets its actual value.
+	 * @param {!Element} element
+	 * @param {!Attr} attr
+	 * @param {!Element} root
+	 * @protected
+	 */
+	collectAttributePart_(element, attr, root) {
+		var part = {
+			element: element,
+			holes: [],
+			name: attr.name,
+			root: element === root,
+			strings: []
+		};
+		var regex = /\{\{hole:(\d+)\}\}/g;
+		var lastIndex = 0;
+		var match;
+		while ((match = regex.exec(attr.value))) {
+			part.strings.push(attr.value.substring(lastIndex, match.index));
+			part.holes.push(parseInt(match[1], 10));
+			this.holes_[match[1]].part = part;
+			lastIndex = regex.lastIndex;
+		}
+		part.strings.push(attr.value.substring(lastIndex));
+		this.patchAttribute_(part);
+	}
+
+	/**
+	 * Walks through the given node's subtree, replacing the hole markers with
+	 * the hole values and storing the parts they were rendered to.
+	 * @param {!Node} node
+	 * @param {!Element} root
+	 * @protected
+	 */
+	collectParts_(node, root) {
+		if (node.nodeType === 8) {
+			var match = /^\{\{hole:(\d+)\}\}$/.exec(node.nodeValue);
+			if (match) {
+				var hole = this.holes_[match[1]];
+				hole.node = document.createTextNode(TemplateRenderer.toText_(hole.value));
+				node.parentNode.replaceChild(hole.node, node);
+			}
+			return;
+		}
+		if (node.nodeType !== 1) {
+			return;
+		}
+
+		var attrs = array.slice(node.attributes, 0);
+		for (var i = 0; i < attrs.length; i++) {
+			if (attrs[i].value.indexOf('{{hole:') !== -1) {
+				this.collectAttributePart_(node, attrs[i], root);
+			}
+		}
+
+		var children = array.slice(node.childNodes, 0);
+		for (i = 0; i < children.length; i++) {
+			this.collectParts_(children[i], root);
+		}
+	}
+
+	/**
+	 * Creates the hole objects for the given template, figuring out which holes
+	 * are inside attribute values.
+	 * @param {!Object} template
+	 * @return {!Array<!Object>}
+	 * @protected
+	 */
+	createHoles_(template) {
+		var holes = [];
+		var html = '';
+		for (var i = 0; i < template.values.length; i++) {
+			html += template.strings[i];
+			var inTag = html.lastIndexOf('<') > html.lastIndexOf('>');
+			if (inTag && !/=\s*("[^"]*|'[^']*|[^"'\s>]*)$/.test(html)) {
+				throw new Error(
+					'Holes inside tags are only allowed in attribute values, in the ' +
+					'template of the component "' +
+					core.getFunctionName(this.component_.constructor) + '".'
+				);
+			}
+			holes.push({
+				attribute: inTag,
+				deps: null,
+				value: undefined
+			});
+		}
+		return holes;
+	}
+
+	/**
+	 * Creates an object with the component's state, which records all the keys
+	 * that are read from it in the given map.
+	 * @param {!Object<string, boolean>} deps
+	 * @return {!Object}
+	 * @protected
+	 */
+	createTrackingState_(deps) {
+		var component = this.component_;
+		var state = {};
+		component.getStateKeys().forEach(function(key) {
+			Object.defineProperty(state, key, {
+				enumerable: true,
+				get: function() {
+					deps[key] = true;
+					return component[key];
+				}
+			});
+		});
+		return state;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	disposeInternal() {
+		super.disposeInternal();
+		this.holes_ = null;
+		this.template_ = null;
+	}
+
+	/**
+	 * Runs the hole's function, if it's one, storing the state keys that it read.
+	 * @param {!Object} hole
+	 * @param {*} value The value given to the hole in the template.
+	 * @protected
+	 */
+	evaluateHole_(hole, value) {
+		hole.fn = null;
+		if (core.isFunction(value)) {
+			hole.fn = value;
+			hole.deps = {};
+			value = value(this.createTrackingState_(hole.deps));
+		}
+		hole.value = value;
+	}
+
+	/**
+	 * Runs the component's `TEMPLATE` function, storing the state keys it read.
+	 * @return {!Object}
+	 * @protected
+	 */
+	evaluateTemplate_() {
+		var TEMPLATE = this.component_.constructor.TEMPLATE;
+		if (!core.isFunction(TEMPLATE)) {
+			throw new Error(
+				'The component "' + core.getFunctionName(this.component_.constructor) +
+				'" needs a static TEMPLATE function to be used with TemplateRenderer.'
+			);
+		}
+
+		this.templateDeps_ = {};
+		var template = TEMPLATE(this.createTrackingState_(this.templateDeps_));
+		if (!template || !template[TemplateRenderer.TEMPLATE_FLAG]) {
+			throw new Error(
+				'The TEMPLATE function of the component "' +
+				core.getFunctionName(this.component_.constructor) + '" should return a ' +
+				'template literal tagged with TemplateRenderer.html.'
+			);
+		}
+		return template;
+	}
+
+	/**
+	 * Checks if any of the given keys is in the dependencies map.
+	 * @param {Object<string, boolean>} deps
+	 * @param {!Array<string>} keys
+	 * @return {boolean}
+	 * @protected
+	 */
+	static hasAnyDep_(deps, keys) {
+		for (var i = 0; i < keys.length; i++) {
+			if (deps && deps[keys[i]]) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Tag function for template literals that should be returned by `TEMPLATE`.
+	 * @param {!Array<string>} strings
+	 * @param {...*} var_values
+	 * @return {!Object}
+	 * @static
+	 */
+	static html(strings) {
+		var template = {
+			strings: strings,
+			values: array.slice(arguments, 1)
+		};
+		template[TemplateRenderer.TEMPLATE_FLAG] = true;
+		return template;
+	}
+
+	/**
+	 * Hydrates the component's existing element, mapping the holes of its
+	 * template onto the text nodes and attributes of the markup, so that later
+	 * updates can patch them. When the markup doesn't match the template's
+	 * structure, the mismatch is reported and the element is rendered again.
+	 */
+	hydrate() {
+		var template = this.evaluateTemplate_();
+		var element = this.renderTemplate_(template);
+		var prevElement = this.component_.element;
+		var matches = [];
+		if (prevElement && this.hydrateNode_(element, prevElement, matches)) {
+			matches.forEach(this.hydrateMatch_.bind(this));
+			return;
+		}
+
+		this.component_.reportHydrationMismatch(
+			'template',
+			element.outerHTML,
+			prevElement ? prevElement.outerHTML : prevElement
+		);
+		if (prevElement && prevElement.parentNode) {
+			prevElement.parentNode.replaceChild(element, prevElement);
+		}
+		this.component_.element = element;
+	}
+
+	/**
+	 * Moves the parts of a match found by `hydrateNode_` to the existing markup.
+	 * Attribute parts are pointed to the existing element, while runs of text
+	 * nodes are split from the existing text node, so that each hole gets its
+	 * own node.
+	 * @param {!Object} match
+	 * @protected
+	 */
+	hydrateMatch_(match) {
+		var holes = this.holes_;
+		if (match.element) {
+			holes.forEach(function(hole) {
+				var part = hole.part;
+				if (part && part.element === match.element) {
+					var expected = part.element.getAttribute(part.name);
+					var actual = match.node.getAttribute(part.name);
+					if (expected !== actual) {
+						this.component_.reportHydrationMismatch(part.name, expected, actual);
+					}
+					part.element = match.node;
+				}
+			}.bind(this));
+			return;
+		}
+
+		var node = match.node;
+		match.texts.forEach(function(text, index) {
+			var current = text;
+			if (node) {
+				current = node;
+				if (index < match.texts.length - 1) {
+					node = node.splitText(text.nodeValue.length);
+				}
+			} else {
+				match.parent.insertBefore(text, match.before);
+			}
+			holes.forEach(function(hole) {
+				if (hole.node === text) {
+					hole.node = current;
+				}
+			});
+		});
+	}
+
+	/**
+	 * Checks if the given existing node has the same structure as the one built
+	 * from the template, storing the elements and text runs that correspond to
+	 * each other in the given array.
+	 * @param {!Element} element The element built from the template.
+	 * @param {Node} node The existing node.
+	 * @param {!Array<!Object>} matches
+	 * @return {boolean}
+	 * @protected
+	 */
+	hydrateNode_(element, node, matches) {
+		if (!node || node.nodeType !== 1 || node.tagName !== element.tagName) {
+			return false;
+		}
+		matches.push({
+			element: element,
+			node: node
+		});
+
+		var children = element.childNodes;
+		var index = 0;
+		for (var i = 0; i < children.length; i++) {
+			var child = children[i];
+			var existing = node.childNodes[index];
+			if (child.nodeType === 3) {
+				var texts = [child];
+				while (children[i + 1] && children[i + 1].nodeType === 3) {
+					texts.push(children[++i]);
+				}
+				var value = texts.map(text => text.nodeValue).join('');
+				if (existing && existing.nodeType === 3) {
+					if (existing.nodeValue !== value) {
+						return false;
+					}
+					index++;
+				} else if (value) {
+					return false;
+				} else {
+					existing = null;
+				}
+				matches.push({
+					before: node.childNodes[index] || null,
+					node: existing,
+					parent: node,
+					texts: texts
+				});
+			} else if (child.nodeType === 1) {
+				if (!this.hydrateNode_(child, existing, matches)) {
+					return false;
+				}
+				index++;
+			} else if (existing && existing.nodeType === child.nodeType) {
+				index++;
+			} else {
+				return false;
+			}
+		}
+		return index === node.childNodes.length;
+	}
+
+	/**
+	 * Sets the attribute of the given part to its current value. Attributes made
+	 * of a single hole are removed when its value is null, undefined or false.
+	 * @param {!Object} part
+	 * @protected
+	 */
+	patchAttribute_(part) {
+		var value = this.buildAttributeValue_(part);
+		if (!core.isDefAndNotNull(value) || value === false) {
+			part.element.removeAttribute(part.name);
+			return;
+		}
+
+		value = value === true ? '' : String(value);
+		if (part.root && part.name === 'class') {
+			value = (value + ' ' + this.component_.getElementClasses()).trim();
+		}
+		if (part.name === 'value' && part.element.value !== value) {
+			part.element.value = value;
+		}
+		part.element.setAttribute(part.name, value);
+	}
+
+	/**
+	 * Renders the component's template, creating its element.
+	 */
+	render() {
+		this.component_.element = this.renderIntoElement_(this.evaluateTemplate_());
+		this.emit('rendered', true);
+	}
+
+	/**
+	 * Renders the given template into the element the component was given, if
+	 * any. The element is reused when its tag matches the template's root,
+	 * having its content and the root's attributes replaced, and is replaced in
+	 * place by the rendered element otherwise.
+	 * @param {!Object} template
+	 * @return {!Element}
+	 * @protected
+	 */
+	renderIntoElement_(template) {
+		var prevElement = this.component_.element;
+		var element = this.renderTemplate_(template);
+		if (!prevElement || prevElement.tagName !== element.tagName) {
+			if (prevElement && prevElement.parentNode) {
+				prevElement.parentNode.replaceChild(element, prevElement);
+			}
+			return element;
+		}
+
+		while (prevElement.firstChild) {
+			prevElement.removeChild(prevElement.firstChild);
+		}
+		while (element.firstChild) {
+			prevElement.appendChild(element.firstChild);
+		}
+		array.slice(element.attributes, 0).forEach(function(attr) {
+			prevElement.setAttribute(attr.name, attr.value);
+		});
+		this.holes_.forEach(function(hole) {
+			if (hole.part && hole.part.element === element) {
+				hole.part.element = prevElement;
+			}
+		});
+		return prevElement;
+	}
+
+	/**
+	 * Creates the holes for the given template and builds its element.
+	 * @param {!Object} template
+	 * @return {!Element}
+	 * @protected
+	 */
+	renderTemplate_(template) {
+		this.template_ = template;
+		this.holes_ = this.createHoles_(template);
+		for (var i = 0; i < this.holes_.length; i++) {
+			this.evaluateHole_(this.holes_[i], template.values[i]);
+		}
+		return this.buildElement_(template);
+	}
+
+	/**
+	 * Renders the component's template as an html string.
+	 * @return {string}
+	 */
+	renderToString() {
+		var template = this.evaluateTemplate_();
+		var html = '';
+		for (var i = 0; i < template.strings.length; i++) {
+			html += template.strings[i];
+			if (i < template.values.length) {
+				var hole = {};
+				this.evaluateHole_(hole, template.values[i]);
+				html += ComponentRenderer.escapeHtml(TemplateRenderer.toText_(hole.value));
+			}
+		}
+		return this.addRootAttributesToString_(html.trim());
+	}
+
+	/**
+	 * Renders the whole template again, replacing the component's element. This
+	 * is done when `TEMPLATE` returns a different template literal than before.
+	 * @param {!Object} template
+	 * @protected
+	 */
+	replaceElement_(template) {
+		var prevElement = this.component_.element;
+		var element = this.renderTemplate_(template);
+		if (prevElement && prevElement.parentNode) {
+			prevElement.parentNode.replaceChild(element, prevElement);
+		}
+		this.component_.element = element;
+	}
+
+	/**
+	 * Converts the given hole value to the text that should be rendered.
+	 * @param {*} value
+	 * @return {string}
+	 * @protected
+	 */
+	static toText_(value) {
+		return core.isDefAndNotNull(value) && value !== false ? String(value) : '';
+	}
+
+	/**
+	 * Updates only the text nodes and attributes whose holes depend on the
+	 * changed state keys. All holes are evaluated again when the update is
+	 * forced, via `Component#forceUpdate`.
+	 * @param {!{changes: !Object<string, Object>, forced: boolean}} data
+	 */
+	update(data) {
+		if (!this.holes_) {
+			this.replaceElement_(this.evaluateTemplate_());
+			this.emit('rendered', false);
+			return;
+		}
+
+		var keys = Object.keys(data.changes || {});
+		var template = this.template_;
+		var rerunTemplate = data.forced || TemplateRenderer.hasAnyDep_(this.templateDeps_, keys);
+		if (rerunTemplate) {
+			template = this.evaluateTemplate_();
+			if (template.strings !== this.template_.strings) {
+				this.replaceElement_(template);
+				this.emit('rendered', false);
+				return;
+			}
+			this.template_ = template;
+		}
+
+		var changedParts = [];
+		for (var i = 0; i < this.holes_.length; i++) {
+			var hole = this.holes_[i];
+			var shouldUpdate = hole.fn ?
+				rerunTemplate || TemplateRenderer.hasAnyDep_(hole.deps, keys) :
+				rerunTemplate;
+			if (!shouldUpdate) {
+				continue;
+			}
+
+			var prevValue = hole.value;
+			this.evaluateHole_(hole, template.values[i]);
+			if (prevValue === hole.value) {
+				continue;
+			}
+			if (hole.part) {
+				if (changedParts.indexOf(hole.part) === -1) {
+					changedParts.push(hole.part);
+				}
+			} else if (hole.node) {
+				hole.node.nodeValue = TemplateRenderer.toText_(hole.value);
+			}
+		}
+		changedParts.forEach(this.patchAttribute_.bind(this));
+		this.emit('rendered', false);
+	}
+}
+
+/**
+ * Flag used to identify templates created by `TemplateRenderer.html`.
+ * @type {string}
+ * @static
+ */
+TemplateRenderer.TEMPLATE_FLAG = '__metal_template__';
+
+export default TemplateRenderer;
@@ -3,10 +3,18 @@
 import Component from '../Component';
 import ComponentRegistry from '../ComponentRegistry';
 import ComponentRenderer from '../ComponentRenderer';
+import ComponentScheduler from '../ComponentScheduler';
+import ComponentTransition from '../ComponentTransition';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import TemplateRenderer from '../TemplateRenderer';
 
 export default Component;
 export {
 	Component,
 	ComponentRegistry,
-	ComponentRenderer
+	ComponentRenderer,
+	ComponentScheduler,
+	ComponentTransition,
+	IncrementalDomRenderer,
+	TemplateRenderer
 };
@@ -144,6 +144,254 @@ describe('Component', function() {
 			comp.dispose();
 			assert.strictEqual(1, comp.disposed.callCount);
 		});
+
+		it('should call "willAttach" before the element is attached', function() {
+			class TestComponent extends Component {
+				willAttach() {
+					assert.ok(!this.inDocument);
+					assert.ok(!this.element.parentNode);
+				}
+			}
+			sinon.spy(TestComponent.prototype, 'willAttach');
+			comp = new TestComponent();
+			assert.strictEqual(1, comp.willAttach.callCount);
+			sinon.assert.callOrder(comp.willAttach, Component.prototype.attached);
+		});
+
+		it('should call "willDetach" before the element is detached', function() {
+			class TestComponent extends Component {
+				willDetach() {
+					assert.ok(this.inDocument);
+					assert.ok(this.element.parentNode);
+				}
+			}
+			sinon.spy(TestComponent.prototype, 'willDetach');
+			comp = new TestComponent();
+
+			comp.detach();
+			assert.strictEqual(1, comp.willDetach.callCount);
+			assert.ok(!comp.inDocument);
+			sinon.assert.callOrder(comp.willDetach, Component.prototype.detached);
+		});
+
+		it('should wait for promise returned by "willDetach" before detaching', function() {
+			var resolveFn;
+			class TestComponent extends Component {
+				willDetach() {
+					return new Promise(resolve => resolveFn = resolve);
+				}
+			}
+			comp = new TestComponent();
+			var element = comp.element;
+
+			assert.strictEqual(comp, comp.detach());
+			assert.ok(comp.inDocument);
+			assert.ok(element.parentNode);
+			sinon.assert.notCalled(Component.prototype.detached);
+
+			resolveFn();
+			return Promise.resolve().then(function() {
+				assert.ok(!comp.inDocument);
+				assert.ok(!element.parentNode);
+				sinon.assert.callCount(Component.prototype.detached, 1);
+			});
+		});
+
+		it('should not detach if promise returned by "willDetach" is rejected', function() {
+			var rejectFn;
+			class TestComponent extends Component {
+				willDetach() {
+					return new Promise((resolve, reject) => rejectFn = reject);
+				}
+			}
+			comp = new TestComponent();
+
+			comp.detach();
+			rejectFn();
+			return Promise.resolve().then(function() {
+				assert.ok(comp.inDocument);
+				assert.ok(comp.element.parentNode);
+				sinon.assert.notCalled(Component.prototype.detached);
+			});
+		});
+
+		it('should not detach if attached again before "willDetach" promise resolves', function() {
+			var resolveFn;
+			class TestComponent extends Component {
+				willDetach() {
+					return new Promise(resolve => resolveFn = resolve);
+				}
+			}
+			comp = new TestComponent();
+
+			comp.detach();
+			comp.attach();
+			resolveFn();
+			return Promise.resolve().then(function() {
+				assert.ok(comp.inDocument);
+				assert.ok(comp.element.parentNode);
+				sinon.assert.notCalled(Component.prototype.detached);
+			});
+		});
+
+		it('should keep waiting for "willDetach" promise when detached again', function() {
+			var resolveFn;
+			class TestComponent extends Component {
+				willDetach() {
+					return new Promise(resolve => resolveFn = resolve);
+				}
+			}
+			sinon.spy(TestComponent.prototype, 'willDetach');
+			comp = new TestComponent();
+
+			comp.detach();
+			comp.detach();
+			assert.ok(comp.inDocument);
+			assert.ok(comp.element.parentNode);
+			assert.strictEqual(1, comp.willDetach.callCount);
+
+			resolveFn();
+			return Promise.resolve().then(function() {
+				assert.ok(!comp.inDocument);
+				sinon.assert.callCount(Component.prototype.detached, 1);
+			});
+		});
+
+		it('should detach immediately when disposed even if "willDetach" returns a promise', function() {
+			class TestComponent extends Component {
+				willDetach() {
+					return new Promise(function() {});
+				}
+			}
+			comp = new TestComponent();
+			var element = comp.element;
+
+			comp.dispose();
+			assert.ok(!element.parentNode);
+			sinon.assert.callCount(Component.prototype.detached, 1);
+		});
+
+		it('should call "willReceiveState" before syncing the batch of state changes', function() {
+			class TestComponent extends Component {
+				syncFoo() {
+				}
+
+				willReceiveState(changes) {
+					if (changes.foo) {
+						this.bar = changes.foo.newVal * 2;
+					}
+				}
+			}
+			TestComponent.STATE = {
+				bar: {
+					value: 0
+				},
+				foo: {
+					value: 0
+				}
+			};
+			comp = new TestComponent();
+			sinon.spy(comp, 'willReceiveState');
+			sinon.spy(comp, 'syncFoo');
+
+			comp.foo = 2;
+			var listener = sinon.stub();
+			comp.on('stateChanged', listener);
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(1, comp.willReceiveState.callCount);
+				assert.strictEqual(2, comp.willReceiveState.args[0][0].foo.newVal);
+				sinon.assert.callOrder(comp.willReceiveState, comp.syncFoo);
+
+				assert.strictEqual(1, listener.callCount);
+				assert.strictEqual(4, listener.args[0][0].changes.bar.newVal);
+			});
+		});
+
+		it('should call "willUpdate" before the renderer updates the component', function() {
+			class TestComponent extends Component {
+			}
+			TestComponent.STATE = {
+				foo: {
+					value: 0
+				}
+			};
+			comp = new TestComponent();
+			sinon.spy(comp, 'willUpdate');
+
+			comp.foo = 1;
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(1, comp.willUpdate.callCount);
+				assert.strictEqual(1, comp.willUpdate.args[0][0].foo.newVal);
+				sinon.assert.callOrder(comp.willUpdate, Component.RENDERER.prototype.update);
+
+				comp.forceUpdate();
+				assert.strictEqual(2, comp.willUpdate.callCount);
+			});
+		});
+
+		it('should emit "disposed" event when component is disposed', function() {
+			comp = new Component();
+			var listener = sinon.stub();
+			comp.on('disposed', listener);
+
+			comp.dispose();
+			assert.strictEqual(1, listener.callCount);
+		});
+
+		it('should resolve "nextUpdate" promise after pending changes update the component', function() {
+			class TestComponent extends Component {
+			}
+			TestComponent.STATE = {
+				foo: {
+					value: 0
+				}
+			};
+			comp = new TestComponent();
+
+			comp.foo = 1;
+			var listener = sinon.stub();
+			comp.on('stateSynced', listener);
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(1, listener.callCount);
+				assert.strictEqual(1, Component.RENDERER.prototype.update.callCount);
+				assert.strictEqual(1, Component.RENDERER.prototype.update.args[0][0].changes.foo.newVal);
+			});
+		});
+
+		it('should resolve "nextUpdate" promise right away if there are no pending changes', function() {
+			comp = new Component();
+			return comp.nextUpdate().then(function() {
+				sinon.assert.callCount(Component.RENDERER.prototype.update, 1);
+				assert.ok(!comp.scheduledBatchData_);
+				return comp.nextUpdate();
+			}).then(function() {
+				sinon.assert.callCount(Component.RENDERER.prototype.update, 1);
+			});
+		});
+
+		it('should resolve "nextUpdate" promise if component is disposed before syncing', function() {
+			comp = new Component();
+			comp.visible = false;
+			var promise = comp.nextUpdate();
+			comp.dispose();
+			return promise.then(function() {
+				sinon.assert.notCalled(Component.RENDERER.prototype.update);
+			});
+		});
+
+		it('should run renderer update without state changes when "forceUpdate" is called', function() {
+			comp = new Component();
+			comp.forceUpdate();
+			sinon.assert.callCount(Component.RENDERER.prototype.update, 1);
+			assert.deepEqual({}, Component.RENDERER.prototype.update.args[0][0].changes);
+			assert.ok(Component.RENDERER.prototype.update.args[0][0].forced);
+		});
+
+		it('should not run renderer update when "forceUpdate" is called before rendering', function() {
+			comp = new Component({}, false);
+			comp.forceUpdate();
+			sinon.assert.notCalled(Component.RENDERER.prototype.update);
+		});
 	});
 
 	describe('State', function() {
@@ -209,6 +457,70 @@ describe('Component', function() {
 			});
 		});
 
+		it('should set component elementClasses from arrays and objects', function() {
+			comp = new Component({
+				elementClasses: ['foo', ['bar'], {
+					active: true,
+					disabled: false
+				}]
+			});
+			assert.deepEqual(['foo', 'bar', 'active'], getClassNames(comp.element));
+
+			comp.elementClasses = {
+				active: false,
+				foo: true
+			};
+			comp.getScheduler().flush();
+			assert.deepEqual(['foo'], getClassNames(comp.element));
+		});
+
+		it('should only remove the elementClasses that are not used anymore', function() {
+			comp = new Component({
+				elementClasses: {
+					active: true,
+					foo: true
+				}
+			});
+			sinon.spy(dom, 'removeClasses');
+
+			comp.elementClasses = {
+				active: false,
+				foo: true
+			};
+			comp.getScheduler().flush();
+			assert.strictEqual('active', dom.removeClasses.args[0][1]);
+			dom.removeClasses.restore();
+			assert.deepEqual(['foo'], getClassNames(comp.element));
+		});
+
+		it('should not remove static ELEMENT_CLASSES when elementClasses change', function() {
+			var CustomComponent = createCustomComponentClass();
+			CustomComponent.ELEMENT_CLASSES = 'foo';
+
+			comp = new CustomComponent({
+				elementClasses: ['foo', 'bar']
+			});
+			comp.elementClasses = [];
+			comp.getScheduler().flush();
+			assert.deepEqual(['foo'], getClassNames(comp.element));
+		});
+
+		it('should merge static ELEMENT_CLASSES given as arrays and objects', function() {
+			var ParentComponent = createCustomComponentClass();
+			ParentComponent.ELEMENT_CLASSES = ['parent', 'shared'];
+			class ChildComponent extends ParentComponent {
+			}
+			ChildComponent.ELEMENT_CLASSES = {
+				child: true,
+				other: false,
+				shared: true
+			};
+
+			comp = new ChildComponent();
+			assert.strictEqual('child shared parent', ChildComponent.ELEMENT_CLASSES_MERGED);
+			assert.deepEqual(['child', 'shared', 'parent'], getClassNames(comp.element));
+		});
+
 		it('should add default component elementClasses from static hint', function() {
 			var CustomComponent = createCustomComponentClass();
 			CustomComponent.ELEMENT_CLASSES = 'overwritten1 overwritten2';
@@ -545,6 +857,44 @@ describe('Component', function() {
 			assert.strictEqual(container, comp.element.parentNode);
 		});
 
+		it('should render component to string via Component.renderToString', function() {
+			var CustomComponent = createCustomComponentClass();
+			CustomComponent.ELEMENT_CLASSES = 'custom';
+			CustomComponent.STATE = {
+				foo: {}
+			};
+			CustomComponent.prototype.created = sinon.stub();
+			CustomComponent.prototype.syncFoo = sinon.stub();
+
+			var html = Component.renderToString(CustomComponent, {
+				elementClasses: 'other',
+				foo: 'fooValue',
+				visible: false
+			});
+
+			assert.strictEqual('<div class="custom other" style="display:none"></div>', html);
+			assert.strictEqual(1, CustomComponent.prototype.created.callCount);
+			assert.strictEqual(1, CustomComponent.prototype.syncFoo.callCount);
+			assert.strictEqual('fooValue', CustomComponent.prototype.syncFoo.args[0][0]);
+		});
+
+		it('should not render elements into the DOM when Component.renderToString is called', function() {
+			var CustomComponent = createCustomComponentClass();
+			sinon.spy(CustomComponent.RENDERER.prototype, 'render');
+
+			Component.renderToString(CustomComponent);
+			assert.strictEqual(0, CustomComponent.RENDERER.prototype.render.callCount);
+			assert.strictEqual(0, document.body.childNodes.length);
+		});
+
+		it('should dispose component created by Component.renderToString', function() {
+			var CustomComponent = createCustomComponentClass();
+			sinon.spy(CustomComponent.prototype, 'disposed');
+
+			Component.renderToString(CustomComponent);
+			assert.strictEqual(1, CustomComponent.prototype.disposed.callCount);
+		});
+
 		it('should not emit "render" event when renderAsSubComponent is called', function() {
 			comp = new Component(
 				{
@@ -597,6 +947,152 @@ describe('Component', function() {
 		});
 	});
 
+	describe('Hydrate', function() {
+		var element;
+
+		beforeEach(function() {
+			element = document.createElement('div');
+			element.innerHTML = '<button class="foo"></button>';
+			document.body.appendChild(element);
+			sinon.stub(console, 'warn');
+			Component.DEV_MODE = true;
+		});
+
+		afterEach(function() {
+			console.warn.restore();
+			Component.DEV_MODE = false;
+		});
+
+		it('should adopt existing element via Component.hydrate', function() {
+			var CustomComponent = createCustomComponentClass();
+			sinon.spy(CustomComponent.RENDERER.prototype, 'render');
+			sinon.spy(CustomComponent.RENDERER.prototype, 'hydrate');
+
+			comp = Component.hydrate(CustomComponent, {}, element);
+			assert.ok(comp instanceof CustomComponent);
+			assert.strictEqual(element, comp.element);
+			assert.strictEqual(document.body, element.parentNode);
+			assert.ok(comp.wasRendered);
+			assert.ok(comp.inDocument);
+			assert.ok(!comp.hydrating);
+			assert.strictEqual(0, CustomComponent.RENDERER.prototype.render.callCount);
+			assert.strictEqual(1, CustomComponent.RENDERER.prototype.hydrate.callCount);
+		});
+
+		it('should adopt existing element from selector via Component.hydrate without config', function() {
+			element.id = 'hydrated';
+			comp = Component.hydrate(createCustomComponentClass(), '#hydrated');
+			assert.strictEqual(element, comp.element);
+		});
+
+		it('should throw error if there\'s no element to hydrate', function() {
+			var CustomComponent = createCustomComponentClass();
+			assert.throws(() => Component.hydrate(CustomComponent, '#missing'), /#missing/);
+			assert.throws(() => Component.hydrate(CustomComponent, {}));
+		});
+
+		it('should run sync methods with hydrating flag set', function() {
+			var CustomComponent = createCustomComponentClass();
+			CustomComponent.STATE = {
+				foo: {}
+			};
+			var hydrating;
+			CustomComponent.prototype.syncFoo = function() {
+				hydrating = this.hydrating;
+			};
+
+			comp = Component.hydrate(CustomComponent, {
+				foo: 'foo'
+			}, element);
+			assert.ok(hydrating);
+		});
+
+		it('should not change classes or display of the hydrated element', function() {
+			element.className = 'other';
+			comp = Component.hydrate(createCustomComponentClass(), {
+				elementClasses: 'foo',
+				visible: false
+			}, element);
+			assert.strictEqual('other', element.className);
+			assert.strictEqual('', element.style.display);
+		});
+
+		it('should report mismatches between state and hydrated element', function() {
+			comp = Component.hydrate(createCustomComponentClass(), {
+				elementClasses: 'foo',
+				visible: false
+			}, element);
+			assert.strictEqual(2, console.warn.callCount);
+		});
+
+		it('should not report mismatches if hydrated element matches the state', function() {
+			element.className = 'foo';
+			element.style.display = 'none';
+			comp = Component.hydrate(createCustomComponentClass(), {
+				elementClasses: 'foo',
+				visible: false
+			}, element);
+			assert.strictEqual(0, console.warn.callCount);
+		});
+
+		it('should not report mismatches if DEV_MODE is off', function() {
+			Component.DEV_MODE = false;
+			comp = Component.hydrate(createCustomComponentClass(), {
+				elementClasses: 'foo'
+			}, element);
+			assert.strictEqual(0, console.warn.callCount);
+		});
+
+		it('should listen to events on the hydrated element', function() {
+			var listener = sinon.stub();
+			var delegateListener = sinon.stub();
+			comp = Component.hydrate(createCustomComponentClass(), {
+				events: {
+					click: {
+						fn: delegateListener,
+						selector: '.foo'
+					}
+				}
+			}, element);
+			comp.on('click', listener);
+
+			dom.triggerEvent(element.querySelector('.foo'), 'click');
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual(1, delegateListener.callCount);
+		});
+
+		it('should update hydrated element when state changes', function(done) {
+			comp = Component.hydrate(createCustomComponentClass(), element);
+			comp.visible = false;
+			comp.once('stateSynced', function() {
+				assert.strictEqual('none', element.style.display);
+				done();
+			});
+		});
+
+		it('should hydrate sub components added by the renderer', function() {
+			var ChildComponent = createCustomComponentClass();
+			sinon.spy(ChildComponent.RENDERER.prototype, 'render');
+
+			class HydrateRenderer extends ComponentRenderer {
+				hydrate() {
+					this.component_.addSubComponent('child', new ChildComponent({
+						element: this.component_.element.querySelector('.foo')
+					}, false));
+				}
+			}
+			class ParentComponent extends Component {
+			}
+			ParentComponent.RENDERER = HydrateRenderer;
+
+			comp = Component.hydrate(ParentComponent, element);
+			var child = comp.components.child;
+			assert.ok(child.wasRendered);
+			assert.strictEqual(element.querySelector('.foo'), child.element);
+			assert.strictEqual(0, ChildComponent.RENDERER.prototype.render.callCount);
+		});
+	});
+
 	describe('Events', function() {
 		it('should listen to events on the element through Component\'s "on" function', function() {
 			comp = new Component();
@@ -870,6 +1366,1561 @@ describe('Component', function() {
 			comp.components.child.dispose();
 			assert.doesNotThrow(comp.dispose.bind(comp));
 		});
+
+		it('should link sub components to their parent and root', function() {
+			comp = new Component();
+			var child = new ChildComponent();
+			var grandChild = new ChildComponent();
+			comp.addSubComponent('child', child);
+			child.addSubComponent('child', grandChild);
+
+			assert.strictEqual(null, comp.getParent());
+			assert.strictEqual(comp, child.getParent());
+			assert.strictEqual(child, grandChild.getParent());
+			assert.strictEqual(comp, comp.getRoot());
+			assert.strictEqual(comp, grandChild.getRoot());
+		});
+
+		it('should return the direct sub components from "getChildren"', function() {
+			comp = new Component();
+			var child1 = new ChildComponent();
+			var child2 = new ChildComponent();
+			comp.addSubComponent('child1', child1);
+			comp.addSubComponent('child2', child2);
+			child1.addSubComponent('child', new ChildComponent());
+
+			assert.deepEqual([child1, child2], comp.getChildren());
+		});
+
+		it('should unlink sub components that are disposed', function() {
+			comp = new Component();
+			var child1 = new ChildComponent();
+			var child2 = new ChildComponent();
+			comp.addSubComponent('child1', child1);
+			comp.addSubComponent('child2', child2);
+
+			comp.disposeSubComponents(['child1']);
+			assert.strictEqual(null, child1.getParent());
+			assert.deepEqual([child2], comp.getChildren());
+
+			child2.dispose();
+			assert.strictEqual(null, child2.getParent());
+			assert.deepEqual([], comp.getChildren());
+			assert.ok(!comp.components.child2);
+		});
+
+		it('should unlink and dispose sub components that are replaced', function() {
+			comp = new Component();
+			var child1 = new ChildComponent();
+			var child2 = new ChildComponent();
+			comp.addSubComponent('child', child1);
+			comp.addSubComponent('child', child2);
+
+			assert.ok(child1.isDisposed());
+			assert.ok(!child2.isDisposed());
+			assert.strictEqual(null, child1.getParent());
+			assert.strictEqual(comp, child2.getParent());
+			assert.deepEqual([child2], comp.getChildren());
+		});
+
+		it('should remove sub components from their previous parent when moved', function() {
+			comp = new Component();
+			var other = new Component();
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+
+			other.addSubComponent('moved', child);
+			assert.strictEqual(other, child.getParent());
+			assert.ok(!comp.components.child);
+			assert.deepEqual([child], other.getChildren());
+			other.dispose();
+		});
+
+		it('should reuse sub components with matching ref and constructor on "updateSubComponents"', function() {
+			comp = new Component();
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+
+			var components = comp.updateSubComponents([
+				{
+					ref: 'child',
+					Ctor: ChildComponent,
+					config: {
+						visible: false
+					}
+				}
+			]);
+			assert.deepEqual([child], components);
+			assert.strictEqual(child, comp.components.child);
+			assert.ok(!child.visible);
+		});
+
+		it('should create and dispose sub components on "updateSubComponents"', function() {
+			class OtherComponent extends Component {
+			}
+
+			comp = new Component();
+			var child1 = new ChildComponent();
+			var child2 = new ChildComponent();
+			comp.addSubComponent('child1', child1);
+			comp.addSubComponent('child2', child2);
+
+			var components = comp.updateSubComponents([
+				{
+					ref: 'child1',
+					Ctor: OtherComponent
+				},
+				{
+					ref: 'child3',
+					Ctor: ChildComponent,
+					config: {
+						visible: false
+					}
+				}
+			]);
+
+			assert.ok(child1.isDisposed());
+			assert.ok(child2.isDisposed());
+			assert.deepEqual(['child1', 'child3'], Object.keys(comp.components));
+			assert.deepEqual([comp.components.child1, comp.components.child3], components);
+			assert.ok(comp.components.child1 instanceof OtherComponent);
+			assert.ok(!comp.components.child3.visible);
+			assert.ok(!comp.components.child3.wasRendered);
+			assert.strictEqual(comp, comp.components.child3.getParent());
+		});
+
+		it('should attach sub components added through a portal to the portal\'s target', function() {
+			var container = document.createElement('div');
+			container.id = 'portal';
+			document.body.appendChild(container);
+			comp = new ChildComponent();
+			var child = new ChildComponent({}, false);
+			comp.addSubComponent('child', child, '#portal');
+			child.render_(comp.element);
+
+			assert.strictEqual(container, child.element.parentNode);
+			assert.strictEqual(comp, child.getParent());
+
+			comp.detach();
+			assert.ok(!child.inDocument);
+			assert.ok(!child.element.parentNode);
+
+			comp.attach();
+			assert.ok(child.inDocument);
+			assert.strictEqual(container, child.element.parentNode);
+
+			var childElement = child.element;
+			comp.dispose();
+			assert.ok(child.isDisposed());
+			assert.ok(!childElement.parentNode);
+		});
+
+		it('should bubble events from sub components added through a portal unless disabled', function() {
+			class BubblingComponent extends Component {
+			}
+			BubblingComponent.BUBBLING_EVENTS = ['select'];
+
+			comp = new Component();
+			var child1 = new BubblingComponent();
+			var child2 = new BubblingComponent();
+			comp.addSubComponent('child1', child1, document.body);
+			comp.addSubComponent('child2', child2, {
+				bubbles: false,
+				target: document.body
+			});
+
+			var listener = sinon.stub();
+			comp.on('select', listener);
+			child1.emit('select');
+			assert.strictEqual(1, listener.callCount);
+			child2.emit('select');
+			assert.strictEqual(1, listener.callCount);
+		});
+
+		it('should find components in the whole tree by constructor or predicate', function() {
+			class OtherComponent extends Component {
+			}
+			comp = new Component();
+			var child1 = new ChildComponent({
+				foo: 'bar'
+			});
+			var child2 = new OtherComponent();
+			var grandChild = new ChildComponent();
+			comp.addSubComponent('child1', child1);
+			comp.addSubComponent('child2', child2);
+			child2.addSubComponent('child', grandChild);
+
+			assert.deepEqual([child1, grandChild], comp.findComponents(ChildComponent));
+			assert.deepEqual([child2], comp.findComponents(OtherComponent));
+			assert.deepEqual([child1], comp.findComponents(component => component.foo === 'bar'));
+			assert.deepEqual([grandChild], child2.findComponents(Component));
+		});
+	});
+
+	describe('Event Bubbling', function() {
+		var ChildComponent;
+
+		beforeEach(function() {
+			class TestChildComponent extends Component {
+			}
+			TestChildComponent.BUBBLING_EVENTS = ['select'];
+			ChildComponent = TestChildComponent;
+		});
+
+		it('should not bubble events that are not listed in BUBBLING_EVENTS', function() {
+			comp = new Component();
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+
+			var listener = sinon.stub();
+			comp.on('other', listener);
+			child.emit('other', {});
+			assert.strictEqual(0, listener.callCount);
+		});
+
+		it('should bubble events listed in BUBBLING_EVENTS up the parent chain', function() {
+			comp = new Component();
+			var child = new Component();
+			var grandChild = new ChildComponent();
+			comp.addSubComponent('child', child);
+			child.addSubComponent('child', grandChild);
+
+			var listener = sinon.stub();
+			grandChild.on('select', () => listener('grandChild'));
+			child.on('select', () => listener('child'));
+			comp.on('select', listener);
+
+			var data = {
+				value: 'foo'
+			};
+			assert.ok(grandChild.emit('select', data));
+			assert.strictEqual(3, listener.callCount);
+			assert.strictEqual('grandChild', listener.args[0][0]);
+			assert.strictEqual('child', listener.args[1][0]);
+
+			assert.strictEqual(data, listener.args[2][0]);
+			var info = listener.args[2][1];
+			assert.strictEqual('select', info.type);
+			assert.strictEqual(grandChild, info.target);
+			assert.strictEqual(comp, info.currentTarget);
+		});
+
+		it('should forward all the emitted arguments unchanged when bubbling', function() {
+			comp = new Component();
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+
+			var listener = sinon.stub();
+			comp.on('select', listener);
+			child.emit('select', 'foo', 2);
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('foo', listener.args[0][0]);
+			assert.strictEqual(2, listener.args[0][1]);
+			assert.strictEqual(child, listener.args[0][2].target);
+		});
+
+		it('should stop bubbling when "stopPropagation" is called', function() {
+			comp = new Component();
+			var child = new Component();
+			var grandChild = new ChildComponent();
+			comp.addSubComponent('child', child);
+			child.addSubComponent('child', grandChild);
+
+			var childListener = sinon.stub();
+			child.on('select', function(info) {
+				info.stopPropagation();
+			});
+			child.on('select', childListener);
+			var listener = sinon.stub();
+			comp.on('select', listener);
+
+			grandChild.emit('select');
+			assert.strictEqual(1, childListener.callCount);
+			assert.strictEqual(0, listener.callCount);
+		});
+
+		it('should merge BUBBLING_EVENTS static from super classes', function() {
+			class TestComponent extends ChildComponent {
+			}
+			TestComponent.BUBBLING_EVENTS = ['close', 'select'];
+
+			comp = new Component();
+			var child = new TestComponent();
+			comp.addSubComponent('child', child);
+			assert.deepEqual(['close', 'select'], TestComponent.BUBBLING_EVENTS_MERGED);
+
+			var listener = sinon.stub();
+			comp.on('close', listener);
+			child.emit('close');
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual(child, listener.args[0][0].target);
+		});
+	});
+
+	describe('Slots', function() {
+		var ChildComponent;
+		var SlotComponent;
+
+		beforeEach(function() {
+			ChildComponent = createCustomComponentClass('child');
+			ChildComponent.STATE = {
+				foo: {}
+			};
+			SlotComponent = createCustomComponentClass(
+				'<div class="body" data-slot=""></div><div class="footer" data-slot="footer"></div>'
+			);
+		});
+
+		it('should distribute "slotContent" and "namedSlotContent" into their slot points', function() {
+			var element = document.createElement('span');
+			comp = new SlotComponent({
+				slotContent: [element, 'text'],
+				namedSlotContent: {
+					footer: {
+						ref: 'button',
+						Ctor: ChildComponent,
+						config: {
+							foo: 'bar'
+						}
+					}
+				}
+			});
+
+			var body = comp.element.querySelector('.body');
+			assert.strictEqual(2, body.childNodes.length);
+			assert.strictEqual(element, body.childNodes[0]);
+			assert.strictEqual('text', body.childNodes[1].nodeValue);
+
+			var button = comp.components.button;
+			assert.ok(button instanceof ChildComponent);
+			assert.strictEqual('bar', button.foo);
+			assert.strictEqual(comp, button.getParent());
+			var footer = comp.element.querySelector('.footer');
+			assert.strictEqual(1, footer.childNodes.length);
+			assert.strictEqual(button.element, footer.childNodes[0]);
+			assert.ok(button.inDocument);
+		});
+
+		it('should not attach slot sub components that have no slot point', function() {
+			comp = new SlotComponent({
+				namedSlotContent: {
+					missing: {
+						ref: 'button',
+						Ctor: ChildComponent
+					}
+				}
+			});
+
+			var button = comp.components.button;
+			assert.ok(button.wasRendered);
+			assert.ok(!button.inDocument);
+			assert.ok(!button.element.parentNode);
+			assert.strictEqual(1, document.body.childNodes.length);
+		});
+
+		it('should not conflict with "children" state keys of subclasses', function() {
+			class TestComponent extends SlotComponent {
+			}
+			TestComponent.STATE = {
+				children: {
+					value: 'foo'
+				}
+			};
+			comp = new TestComponent();
+			assert.strictEqual('foo', comp.children);
+			assert.strictEqual('', comp.element.querySelector('.body').textContent);
+		});
+
+		it('should move existing slot content instead of re-creating it', function() {
+			var element = document.createElement('span');
+			var child = {
+				ref: 'child',
+				Ctor: ChildComponent,
+				config: {
+					foo: 'foo'
+				}
+			};
+			comp = new SlotComponent({
+				slotContent: ['text', child, element]
+			});
+			var body = comp.element.querySelector('.body');
+			var textNode = body.childNodes[0];
+			var childComponent = comp.components.child;
+
+			child.config = {
+				foo: 'bar'
+			};
+			comp.slotContent = ['newText', element, child];
+			comp.getScheduler().flush();
+
+			assert.strictEqual(3, body.childNodes.length);
+			assert.strictEqual(textNode, body.childNodes[0]);
+			assert.strictEqual('newText', textNode.nodeValue);
+			assert.strictEqual(element, body.childNodes[1]);
+			assert.strictEqual(childComponent, comp.components.child);
+			assert.strictEqual(childComponent.element, body.childNodes[2]);
+			assert.strictEqual('bar', childComponent.foo);
+		});
+
+		it('should remove slot content that is not used anymore', function() {
+			var element = document.createElement('span');
+			comp = new SlotComponent({
+				slotContent: element,
+				namedSlotContent: {
+					footer: {
+						ref: 'button',
+						Ctor: ChildComponent
+					}
+				}
+			});
+			var button = comp.components.button;
+
+			comp.setState({
+				slotContent: null,
+				namedSlotContent: {}
+			});
+			comp.getScheduler().flush();
+
+			assert.ok(!element.parentNode);
+			assert.ok(button.isDisposed());
+			assert.ok(!comp.components.button);
+			assert.strictEqual(0, comp.element.querySelector('.footer').childNodes.length);
+		});
+
+		it('should ignore slot points inside sub components', function() {
+			comp = new SlotComponent({
+				namedSlotContent: {
+					footer: 'footer'
+				}
+			});
+			var child = new SlotComponent();
+			comp.addSubComponent('child', child);
+			comp.element.insertBefore(child.element, comp.element.firstChild);
+
+			comp.namedSlotContent = {
+				footer: 'newFooter'
+			};
+			comp.getScheduler().flush();
+			assert.strictEqual('', child.element.querySelector('.footer').textContent);
+			assert.strictEqual('newFooter', comp.element.childNodes[2].textContent);
+		});
+	});
+
+	describe('Computed State', function() {
+		var TestComponent;
+
+		beforeEach(function() {
+			class ComputedComponent extends Component {
+				computeVisibleItems_(items, filter) {
+					return items.filter(item => item.indexOf(filter) !== -1);
+				}
+			}
+			ComputedComponent.STATE = {
+				filter: {
+					value: ''
+				},
+				items: {
+					valueFn: () => []
+				},
+				visibleCount: {
+					computed: ['visibleItems'],
+					fn: visibleItems => visibleItems.length
+				},
+				visibleItems: {
+					computed: ['items', 'filter'],
+					fn: 'computeVisibleItems_'
+				}
+			};
+			TestComponent = ComputedComponent;
+		});
+
+		it('should calculate computed state keys from their dependencies', function() {
+			comp = new TestComponent({
+				filter: 'a',
+				items: ['a', 'b', 'ab']
+			});
+			assert.deepEqual(['a', 'ab'], comp.visibleItems);
+			assert.strictEqual(2, comp.visibleCount);
+		});
+
+		it('should not allow writing to computed state keys', function() {
+			comp = new TestComponent({
+				items: ['a'],
+				visibleCount: 10
+			});
+			assert.strictEqual(1, comp.visibleCount);
+
+			comp.visibleItems = ['b', 'c'];
+			assert.deepEqual(['a'], comp.visibleItems);
+			assert.strictEqual(1, comp.visibleCount);
+		});
+
+		it('should calculate computed state keys again in the same batch as their dependencies', function() {
+			comp = new TestComponent({
+				items: ['a', 'b', 'ab']
+			});
+			comp.getScheduler().flush();
+			var listener = sinon.stub();
+			comp.on('stateChanged', listener);
+
+			comp.filter = 'b';
+			assert.deepEqual(['b', 'ab'], comp.visibleItems);
+			comp.filter = 'a';
+			assert.deepEqual(['a', 'ab'], comp.visibleItems);
+			comp.getScheduler().flush();
+
+			assert.strictEqual(1, listener.callCount);
+			var changes = listener.args[0][0].changes;
+			assert.deepEqual(['filter', 'visibleCount', 'visibleItems'], Object.keys(changes).sort());
+			assert.deepEqual(['a', 'b', 'ab'], changes.visibleItems.prevVal);
+			assert.deepEqual(['a', 'ab'], changes.visibleItems.newVal);
+		});
+
+		it('should call sync methods of computed state keys when they change', function() {
+			TestComponent.prototype.syncVisibleCount = sinon.stub();
+			comp = new TestComponent({
+				items: ['a', 'b']
+			});
+			assert.strictEqual(1, comp.syncVisibleCount.callCount);
+			assert.strictEqual(2, comp.syncVisibleCount.args[0][0]);
+
+			comp.items = ['a', 'b', 'c'];
+			comp.getScheduler().flush();
+			assert.strictEqual(2, comp.syncVisibleCount.callCount);
+			assert.strictEqual(3, comp.syncVisibleCount.args[1][0]);
+			assert.strictEqual(2, comp.syncVisibleCount.args[1][1]);
+		});
+	});
+
+	describe('Element Attributes', function() {
+		var TestComponent;
+
+		beforeEach(function() {
+			TestComponent = createCustomComponentClass();
+			TestComponent.STATE = {
+				disabled: {
+					value: false
+				},
+				expanded: {
+					value: false
+				},
+				itemId: {
+					value: 1
+				},
+				label: {},
+				width: {
+					value: '10px'
+				}
+			};
+			TestComponent.ELEMENT_ATTRIBUTES = {
+				disabled: 'disabled',
+				expanded: 'aria-expanded',
+				itemId: 'data-item-id',
+				label: 'title',
+				width: 'style.width'
+			};
+		});
+
+		it('should reflect state keys on the element when rendered', function() {
+			comp = new TestComponent();
+			var element = comp.element;
+			assert.ok(!element.hasAttribute('disabled'));
+			assert.strictEqual('false', element.getAttribute('aria-expanded'));
+			assert.strictEqual('1', element.getAttribute('data-item-id'));
+			assert.ok(!element.hasAttribute('title'));
+			assert.strictEqual('10px', element.style.width);
+		});
+
+		it('should reflect state keys on the element when they change', function() {
+			comp = new TestComponent();
+			comp.setState({
+				disabled: true,
+				expanded: true,
+				itemId: 2,
+				label: 'Label',
+				width: null
+			});
+			comp.getScheduler().flush();
+
+			var element = comp.element;
+			assert.strictEqual('', element.getAttribute('disabled'));
+			assert.strictEqual('true', element.getAttribute('aria-expanded'));
+			assert.strictEqual('2', element.dataset.itemId);
+			assert.strictEqual('Label', element.getAttribute('title'));
+			assert.strictEqual('', element.style.width);
+		});
+
+		it('should reflect state keys on the element when it\'s replaced', function() {
+			comp = new TestComponent({
+				label: 'Label'
+			});
+			var element = document.createElement('div');
+			comp.element = element;
+			assert.strictEqual('Label', element.getAttribute('title'));
+			assert.strictEqual('false', element.getAttribute('aria-expanded'));
+			assert.strictEqual('10px', element.style.width);
+		});
+
+		it('should include reflected attributes when rendering to string', function() {
+			var html = Component.renderToString(TestComponent, {
+				disabled: true,
+				visible: false
+			});
+			assert.strictEqual(
+				'<div disabled="" aria-expanded="false" data-item-id="1" style="width:10px;display:none"></div>',
+				html
+			);
+		});
+
+		it('should check reflected attributes instead of writing them when hydrating', function() {
+			sinon.stub(TestComponent.prototype, 'reportHydrationMismatch');
+			var element = document.createElement('div');
+			element.innerHTML = Component.renderToString(TestComponent);
+			element.firstChild.setAttribute('data-item-id', '5');
+
+			comp = Component.hydrate(TestComponent, element.firstChild);
+			assert.strictEqual('5', comp.element.getAttribute('data-item-id'));
+			assert.strictEqual(1, comp.reportHydrationMismatch.callCount);
+			assert.deepEqual(['itemId', '1', '5'], comp.reportHydrationMismatch.args[0]);
+		});
+	});
+
+	describe('Bindings', function() {
+		var FormComponent;
+
+		beforeEach(function() {
+			FormComponent = createCustomComponentClass(
+				'<input class="name" type="text">' +
+				'<input class="agreed" type="checkbox">' +
+				'<input class="size" name="size" type="radio" value="s">' +
+				'<input class="size" name="size" type="radio" value="m">' +
+				'<select class="color"><option value="red">Red</option><option value="blue">Blue</option></select>' +
+				'<div class="bio" contenteditable="true"></div>' +
+				'<input class="age" type="text">'
+			);
+			FormComponent.STATE = {
+				age: {
+					value: 20
+				},
+				agreed: {
+					value: false
+				},
+				bio: {
+					value: 'Bio'
+				},
+				color: {
+					value: 'blue'
+				},
+				name: {
+					value: 'Foo'
+				},
+				size: {
+					value: 'm'
+				}
+			};
+			FormComponent.BINDINGS = {
+				age: {
+					format: age => age + ' years',
+					parse: value => parseInt(value, 10),
+					selector: '.age'
+				},
+				agreed: '.agreed',
+				bio: '.bio',
+				color: '.color',
+				name: '.name',
+				size: '.size'
+			};
+		});
+
+		it('should set the values of bound form controls when rendered', function() {
+			comp = new FormComponent();
+			var element = comp.element;
+			assert.strictEqual('Foo', element.querySelector('.name').value);
+			assert.ok(!element.querySelector('.agreed').checked);
+			assert.ok(!element.querySelectorAll('.size')[0].checked);
+			assert.ok(element.querySelectorAll('.size')[1].checked);
+			assert.strictEqual('blue', element.querySelector('.color').value);
+			assert.strictEqual('Bio', element.querySelector('.bio').textContent);
+			assert.strictEqual('20 years', element.querySelector('.age').value);
+		});
+
+		it('should update bound form controls when their state keys change', function() {
+			comp = new FormComponent();
+			comp.setState({
+				age: 30,
+				agreed: true,
+				bio: 'New Bio',
+				color: 'red',
+				name: 'Bar',
+				size: 's'
+			});
+			comp.getScheduler().flush();
+
+			var element = comp.element;
+			assert.strictEqual('Bar', element.querySelector('.name').value);
+			assert.ok(element.querySelector('.agreed').checked);
+			assert.ok(element.querySelectorAll('.size')[0].checked);
+			assert.ok(!element.querySelectorAll('.size')[1].checked);
+			assert.strictEqual('red', element.querySelector('.color').value);
+			assert.strictEqual('New Bio', element.querySelector('.bio').textContent);
+			assert.strictEqual('30 years', element.querySelector('.age').value);
+		});
+
+		it('should update state keys when their bound form controls change', function() {
+			comp = new FormComponent();
+			var element = comp.element;
+
+			element.querySelector('.name').value = 'Bar';
+			dom.triggerEvent(element.querySelector('.name'), 'input');
+			assert.strictEqual('Bar', comp.name);
+
+			element.querySelector('.agreed').checked = true;
+			dom.triggerEvent(element.querySelector('.agreed'), 'change');
+			assert.strictEqual(true, comp.agreed);
+
+			element.querySelectorAll('.size')[0].checked = true;
+			dom.triggerEvent(element.querySelectorAll('.size')[0], 'change');
+			assert.strictEqual('s', comp.size);
+
+			element.querySelector('.color').value = 'red';
+			dom.triggerEvent(element.querySelector('.color'), 'change');
+			assert.strictEqual('red', comp.color);
+
+			element.querySelector('.bio').textContent = 'New Bio';
+			dom.triggerEvent(element.querySelector('.bio'), 'input');
+			assert.strictEqual('New Bio', comp.bio);
+
+			element.querySelector('.age').value = '42';
+			dom.triggerEvent(element.querySelector('.age'), 'input');
+			assert.strictEqual(42, comp.age);
+		});
+
+		it('should bind multiple selects to arrays of the selected values', function() {
+			var TestComponent = createCustomComponentClass(
+				'<select class="tags" multiple><option value="a">A</option>' +
+				'<option value="b">B</option><option value="c">C</option></select>'
+			);
+			TestComponent.STATE = {
+				tags: {
+					value: ['a', 'c']
+				}
+			};
+			TestComponent.BINDINGS = {
+				tags: '.tags'
+			};
+
+			comp = new TestComponent();
+			var options = comp.element.querySelector('.tags').options;
+			assert.ok(options[0].selected);
+			assert.ok(!options[1].selected);
+			assert.ok(options[2].selected);
+
+			comp.tags = ['b'];
+			comp.getScheduler().flush();
+			assert.ok(!options[0].selected);
+			assert.ok(options[1].selected);
+			assert.ok(!options[2].selected);
+
+			options[0].selected = true;
+			dom.triggerEvent(comp.element.querySelector('.tags'), 'change');
+			assert.deepEqual(['a', 'b'], comp.tags);
+		});
+
+		it('should not write back to form controls that caused the update', function() {
+			comp = new FormComponent();
+			var input = comp.element.querySelector('.age');
+			input.value = '42 ye';
+			dom.triggerEvent(input, 'input');
+			comp.getScheduler().flush();
+
+			assert.strictEqual(42, comp.age);
+			assert.strictEqual('42 ye', input.value);
+		});
+
+		it('should merge BINDINGS static from super classes', function() {
+			class TestComponent extends FormComponent {
+			}
+			TestComponent.BINDINGS = {
+				age: '.age'
+			};
+
+			comp = new TestComponent();
+			assert.strictEqual('20', comp.element.querySelector('.age').value);
+			assert.strictEqual('blue', comp.element.querySelector('.color').value);
+		});
+	});
+
+	describe('Styles', function() {
+		var TestComponent;
+
+		beforeEach(function() {
+			TestComponent = createCustomComponentClass();
+			TestComponent.STYLES = '.test { color: red; }';
+		});
+
+		function getStyleElements() {
+			return document.head.querySelectorAll('style[data-styles-for]');
+		}
+
+		it('should inject STYLES once for all instances of the same class', function() {
+			comp = new TestComponent();
+			var other = new TestComponent();
+
+			var styleElements = getStyleElements();
+			assert.strictEqual(1, styleElements.length);
+			assert.strictEqual('.test { color: red; }', styleElements[0].textContent);
+			other.dispose();
+		});
+
+		it('should only inject STYLES when the first instance is rendered', function() {
+			comp = new TestComponent({}, false);
+			assert.strictEqual(0, getStyleElements().length);
+
+			comp.render_();
+			assert.strictEqual(1, getStyleElements().length);
+		});
+
+		it('should remove STYLES when the last instance is disposed', function() {
+			var comp1 = new TestComponent();
+			var comp2 = new TestComponent();
+
+			comp1.dispose();
+			assert.strictEqual(1, getStyleElements().length);
+			comp2.dispose();
+			assert.strictEqual(0, getStyleElements().length);
+
+			comp = new TestComponent();
+			assert.strictEqual(1, getStyleElements().length);
+		});
+
+		it('should merge STYLES static from super classes', function() {
+			class ChildComponent extends TestComponent {
+			}
+			ChildComponent.STYLES = '.child { color: blue; }';
+
+			comp = new ChildComponent();
+			assert.strictEqual(
+				'.test { color: red; }\n.child { color: blue; }',
+				getStyleElements()[0].textContent
+			);
+		});
+
+		it('should scope STYLES to the elements of the class when STYLES_SCOPED is set', function() {
+			TestComponent.STYLES = ':scope .title { color: red; }';
+			TestComponent.STYLES_SCOPED = true;
+
+			comp = new TestComponent();
+			var id = comp.element.getAttribute(Component.STYLES_SCOPE_ATTRIBUTE);
+			assert.ok(id);
+			assert.strictEqual(
+				'[data-styles-scope="' + id + '"] .title { color: red; }',
+				getStyleElements()[0].textContent
+			);
+
+			var element = document.createElement('div');
+			comp.element = element;
+			assert.strictEqual(id, element.getAttribute(Component.STYLES_SCOPE_ATTRIBUTE));
+		});
+
+		it('should include the STYLES scope attribute when rendering to string', function() {
+			TestComponent.STYLES_SCOPED = true;
+			var html = Component.renderToString(TestComponent);
+
+			comp = new TestComponent();
+			var id = comp.element.getAttribute(Component.STYLES_SCOPE_ATTRIBUTE);
+			assert.strictEqual('<div data-styles-scope="' + id + '"></div>', html);
+		});
+
+		it('should check the STYLES scope attribute instead of writing it when hydrating', function() {
+			TestComponent.STYLES_SCOPED = true;
+			sinon.stub(TestComponent.prototype, 'reportHydrationMismatch');
+			var element = document.createElement('div');
+
+			comp = Component.hydrate(TestComponent, element);
+			assert.ok(!element.hasAttribute(Component.STYLES_SCOPE_ATTRIBUTE));
+			assert.strictEqual(1, comp.reportHydrationMismatch.callCount);
+			assert.strictEqual(Component.STYLES_SCOPE_ATTRIBUTE, comp.reportHydrationMismatch.args[0][0]);
+		});
+	});
+
+	describe('Context', function() {
+		var ProviderComponent;
+
+		beforeEach(function() {
+			class TestProviderComponent extends Component {
+				provideContext() {
+					return {
+						locale: 'en',
+						theme: this.theme
+					};
+				}
+			}
+			TestProviderComponent.STATE = {
+				theme: {
+					value: 'light'
+				}
+			};
+			ProviderComponent = TestProviderComponent;
+		});
+
+		it('should return context values from the nearest provider', function() {
+			class InnerProvider extends Component {
+				provideContext() {
+					return {
+						theme: 'dark'
+					};
+				}
+			}
+			comp = new ProviderComponent();
+			var inner = new InnerProvider();
+			var child = new Component();
+			var grandChild = new Component();
+			comp.addSubComponent('child', child);
+			comp.addSubComponent('inner', inner);
+			inner.addSubComponent('child', grandChild);
+
+			assert.strictEqual('light', child.getContext('theme'));
+			assert.strictEqual('en', child.getContext('locale'));
+			assert.strictEqual('dark', grandChild.getContext('theme'));
+			assert.strictEqual('en', grandChild.getContext('locale'));
+			assert.strictEqual(undefined, grandChild.getContext('missing'));
+			assert.strictEqual(undefined, comp.getContext('theme'));
+		});
+
+		it('should update consumers when a provider\'s value changes', function() {
+			comp = new ProviderComponent();
+			var child = new Component();
+			comp.addSubComponent('child', child);
+			assert.strictEqual('light', child.getContext('theme'));
+
+			var listener = sinon.stub();
+			child.on('contextChanged', listener);
+			sinon.spy(child, 'forceUpdate');
+
+			comp.theme = 'dark';
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(1, listener.callCount);
+				assert.deepEqual({
+					theme: {
+						newVal: 'dark',
+						prevVal: 'light'
+					}
+				}, listener.args[0][0].changes);
+				assert.strictEqual(1, child.forceUpdate.callCount);
+				assert.strictEqual('dark', child.getContext('theme'));
+			});
+		});
+
+		it('should update consumers that declare the changed key in their CONTEXT static', function() {
+			class ConsumerComponent extends Component {
+			}
+			ConsumerComponent.CONTEXT = ['theme'];
+
+			comp = new ProviderComponent();
+			var consumer = new ConsumerComponent();
+			var other = new Component();
+			comp.addSubComponent('consumer', consumer);
+			comp.addSubComponent('other', other);
+			other.getContext('locale');
+			sinon.spy(consumer, 'forceUpdate');
+			sinon.spy(other, 'forceUpdate');
+
+			comp.theme = 'dark';
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(1, consumer.forceUpdate.callCount);
+				assert.strictEqual(0, other.forceUpdate.callCount);
+			});
+		});
+
+		it('should notify consumers of keys declared in CONTEXT that were never read', function() {
+			class ConsumerComponent extends Component {
+			}
+			ConsumerComponent.CONTEXT = ['theme'];
+
+			comp = new ProviderComponent();
+			var child = new Component();
+			var consumer = new ConsumerComponent();
+			child.addSubComponent('consumer', consumer);
+			comp.addSubComponent('child', child);
+
+			var listener = sinon.stub();
+			consumer.on('contextChanged', listener);
+			comp.theme = 'dark';
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(1, listener.callCount);
+				assert.deepEqual({
+					theme: {
+						newVal: 'dark',
+						prevVal: 'light'
+					}
+				}, listener.args[0][0].changes);
+			});
+		});
+
+		it('should not update consumers whose value comes from a closer provider', function() {
+			class InnerProvider extends Component {
+				provideContext() {
+					return {
+						theme: 'dark'
+					};
+				}
+			}
+			comp = new ProviderComponent();
+			var inner = new InnerProvider();
+			var child = new Component();
+			comp.addSubComponent('inner', inner);
+			inner.addSubComponent('child', child);
+			child.getContext('theme');
+			sinon.spy(child, 'forceUpdate');
+
+			comp.theme = 'blue';
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual(0, child.forceUpdate.callCount);
+			});
+		});
+
+		it('should update consumers when "refreshContext" is called manually', function() {
+			var locale = 'en';
+			class TestComponent extends Component {
+				provideContext() {
+					return {
+						locale
+					};
+				}
+			}
+			comp = new TestComponent();
+			var child = new Component();
+			comp.addSubComponent('child', child);
+			assert.strictEqual('en', child.getContext('locale'));
+			sinon.spy(child, 'forceUpdate');
+
+			locale = 'pt';
+			comp.refreshContext();
+			assert.strictEqual(1, child.forceUpdate.callCount);
+			assert.strictEqual('pt', child.getContext('locale'));
+		});
+
+		it('should merge CONTEXT static from super classes', function() {
+			class ParentConsumer extends Component {
+			}
+			ParentConsumer.CONTEXT = ['theme'];
+			class ChildConsumer extends ParentConsumer {
+			}
+			ChildConsumer.CONTEXT = ['locale', 'theme'];
+
+			comp = new ChildConsumer();
+			assert.deepEqual(['locale', 'theme'], ChildConsumer.CONTEXT_MERGED);
+		});
+	});
+
+	describe('Transitions', function() {
+		var TestComponent;
+
+		beforeEach(function() {
+			class TransitionComponent extends Component {
+			}
+			TransitionComponent.TRANSITION = {
+				enter: 'enter',
+				leave: 'leave',
+				timeout: 50
+			};
+			TestComponent = TransitionComponent;
+		});
+
+		function endTransition(element) {
+			dom.triggerEvent(element, features.checkAnimationEventName().transition);
+		}
+
+		it('should run the enter transition when attached', function() {
+			comp = new TestComponent();
+			var listener = sinon.stub();
+			comp.on('transitionEnd', listener);
+			assert.ok(dom.hasClass(comp.element, 'enter'));
+
+			endTransition(comp.element);
+			return Promise.resolve().then(function() {
+				assert.ok(!dom.hasClass(comp.element, 'enter'));
+				assert.strictEqual(1, listener.callCount);
+				assert.strictEqual('enter', listener.args[0][0].type);
+				assert.ok(!listener.args[0][0].canceled);
+			});
+		});
+
+		it('should emit "transitionStart" event when transitions start', function() {
+			comp = new TestComponent({}, false);
+			var listener = sinon.stub();
+			comp.on('transitionStart', listener);
+
+			comp.render_();
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('enter', listener.args[0][0].type);
+		});
+
+		it('should not run the enter transition when attached while invisible', function() {
+			comp = new TestComponent({
+				visible: false
+			});
+			assert.ok(!dom.hasClass(comp.element, 'enter'));
+		});
+
+		it('should wait for the leave transition before detaching', function() {
+			comp = new TestComponent();
+			endTransition(comp.element);
+
+			comp.detach();
+			assert.ok(comp.inDocument);
+			assert.ok(comp.element.parentNode);
+			assert.ok(dom.hasClass(comp.element, 'leave'));
+
+			var promise = new Promise(resolve => comp.once('detached', resolve));
+			endTransition(comp.element);
+			return promise.then(function() {
+				assert.ok(!comp.inDocument);
+				assert.ok(!comp.element.parentNode);
+				assert.ok(!dom.hasClass(comp.element, 'leave'));
+			});
+		});
+
+		it('should cancel the leave transition when attached again before detaching', function() {
+			comp = new TestComponent();
+			endTransition(comp.element);
+
+			comp.detach();
+			comp.attach();
+			assert.ok(!dom.hasClass(comp.element, 'leave'));
+			return Promise.resolve().then(function() {
+				assert.ok(comp.inDocument);
+				assert.ok(comp.element.parentNode);
+			});
+		});
+
+		it('should detach immediately without leave transition when disposed', function() {
+			comp = new TestComponent();
+			var element = comp.element;
+
+			comp.dispose();
+			assert.ok(!element.parentNode);
+			assert.ok(!dom.hasClass(element, 'leave'));
+		});
+
+		it('should run the leave transition before hiding the element', function() {
+			comp = new TestComponent();
+			endTransition(comp.element);
+
+			comp.visible = false;
+			return comp.nextUpdate().then(function() {
+				assert.ok(dom.hasClass(comp.element, 'leave'));
+				assert.strictEqual('', comp.element.style.display);
+
+				var promise = new Promise(resolve => comp.once('transitionEnd', resolve));
+				endTransition(comp.element);
+				return promise;
+			}).then(function() {
+				return Promise.resolve();
+			}).then(function() {
+				assert.ok(!dom.hasClass(comp.element, 'leave'));
+				assert.strictEqual('none', comp.element.style.display);
+			});
+		});
+
+		it('should run the enter transition after showing the element', function() {
+			comp = new TestComponent({
+				visible: false
+			});
+
+			comp.visible = true;
+			return comp.nextUpdate().then(function() {
+				assert.strictEqual('', comp.element.style.display);
+				assert.ok(dom.hasClass(comp.element, 'enter'));
+			});
+		});
+
+		it('should not hide the element if shown again during the leave transition', function() {
+			comp = new TestComponent();
+			endTransition(comp.element);
+			var listener = sinon.stub();
+
+			comp.visible = false;
+			return comp.nextUpdate().then(function() {
+				comp.on('transitionEnd', listener);
+				comp.visible = true;
+				return comp.nextUpdate();
+			}).then(function() {
+				assert.ok(!dom.hasClass(comp.element, 'leave'));
+				assert.ok(dom.hasClass(comp.element, 'enter'));
+				assert.strictEqual('', comp.element.style.display);
+				assert.strictEqual(1, listener.callCount);
+				assert.strictEqual('leave', listener.args[0][0].type);
+				assert.ok(listener.args[0][0].canceled);
+			});
+		});
+	});
+
+	describe('Error Boundaries', function() {
+		var ChildComponent;
+
+		beforeEach(function() {
+			class TestChildComponent extends Component {
+				syncFoo(foo) {
+					if (foo === 'throw') {
+						throw new Error('sync');
+					}
+				}
+			}
+			TestChildComponent.STATE = {
+				foo: {}
+			};
+			ChildComponent = TestChildComponent;
+		});
+
+		it('should throw errors from sync methods if there is no error boundary', function() {
+			assert.throws(() => new ChildComponent({
+				foo: 'throw'
+			}));
+		});
+
+		it('should route errors from sync methods to the nearest ancestor with "handleError"', function() {
+			class BoundaryComponent extends Component {
+				handleError() {
+				}
+			}
+			comp = new BoundaryComponent();
+			sinon.spy(comp, 'handleError');
+			var middle = new Component();
+			comp.addSubComponent('middle', middle);
+			var child = new ChildComponent();
+			middle.addSubComponent('child', child);
+
+			child.foo = 'throw';
+			assert.doesNotThrow(() => child.syncState_());
+			assert.strictEqual(1, comp.handleError.callCount);
+			assert.strictEqual('sync', comp.handleError.args[0][0].message);
+
+			var info = comp.handleError.args[0][1];
+			assert.strictEqual(child, info.component);
+			assert.strictEqual('sync', info.phase);
+			assert.strictEqual('foo', info.key);
+		});
+
+		it('should route errors to the nearest ancestor with "error" listeners', function() {
+			comp = new Component();
+			var listener = sinon.stub();
+			comp.on('error', listener);
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+
+			child.foo = 'throw';
+			child.syncState_();
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('sync', listener.args[0][0].error.message);
+			assert.strictEqual(child, listener.args[0][0].info.component);
+		});
+
+		it('should route errors from the "attached" lifecycle method', function() {
+			class TestComponent extends Component {
+				attached() {
+					throw new Error('attached');
+				}
+			}
+			comp = new Component();
+			var listener = sinon.stub();
+			comp.on('error', listener);
+			var child = new TestComponent({}, false);
+			comp.addSubComponent('child', child);
+
+			child.render_(comp.element);
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('attached', listener.args[0][0].info.phase);
+			assert.ok(child.inDocument);
+		});
+
+		it('should route errors from the "willDetach" lifecycle method', function() {
+			class TestComponent extends Component {
+				willDetach() {
+					throw new Error('willDetach');
+				}
+			}
+			comp = new Component();
+			var listener = sinon.stub();
+			comp.on('error', listener);
+			var child = new TestComponent({}, false);
+			comp.addSubComponent('child', child);
+			child.render_(comp.element);
+
+			child.detach();
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('willDetach', listener.args[0][0].info.phase);
+			assert.ok(!child.inDocument);
+		});
+
+		it('should route errors from the renderer\'s "render" and "update" methods', function() {
+			var shouldThrow = true;
+			class TestRenderer extends ComponentRenderer {
+				render() {
+					super.render();
+					if (shouldThrow) {
+						throw new Error('render');
+					}
+				}
+
+				update() {
+					throw new Error('update');
+				}
+			}
+			class TestComponent extends Component {
+			}
+			TestComponent.RENDERER = TestRenderer;
+
+			comp = new Component();
+			var listener = sinon.stub();
+			comp.on('error', listener);
+			var child = new TestComponent({}, false);
+			comp.addSubComponent('child', child);
+
+			child.render_(comp.element);
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('render', listener.args[0][0].info.phase);
+			assert.ok(child.wasRendered);
+			assert.strictEqual(comp.element, child.element.parentNode);
+
+			child.forceUpdate();
+			assert.strictEqual(2, listener.callCount);
+			assert.strictEqual('update', listener.args[1][0].info.phase);
+		});
+
+		it('should replace the failing component\'s element with the fallback from "handleError"', function() {
+			class BoundaryComponent extends Component {
+				handleError(error) {
+					return '<div class="fallback">' + error.message + '</div>';
+				}
+			}
+			comp = new BoundaryComponent();
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+			comp.element.appendChild(child.element);
+
+			child.foo = 'throw';
+			child.syncState_();
+			assert.strictEqual('fallback', child.element.className);
+			assert.strictEqual('sync', child.element.textContent);
+			assert.strictEqual(comp.element, child.element.parentNode);
+			assert.strictEqual(1, comp.element.childNodes.length);
+		});
+
+		it('should not update again when the fallback replaces the element', function() {
+			var update = sinon.stub().throws(new Error('update'));
+			class TestRenderer extends ComponentRenderer {
+				update() {
+					update();
+				}
+			}
+			class TestComponent extends Component {
+			}
+			TestComponent.RENDERER = TestRenderer;
+
+			comp = new Component();
+			comp.on('error', function(data) {
+				data.fallback = '<div class="fallback"></div>';
+			});
+			var child = new TestComponent();
+			comp.addSubComponent('child', child);
+
+			child.forceUpdate();
+			assert.strictEqual(1, update.callCount);
+			assert.strictEqual('fallback', child.element.className);
+			return child.nextUpdate().then(function() {
+				assert.strictEqual(1, update.callCount);
+			});
+		});
+
+		it('should replace the failing component\'s element with the fallback from "error" event', function() {
+			comp = new Component();
+			var fallback = document.createElement('span');
+			comp.on('error', function(data) {
+				data.fallback = fallback;
+			});
+			var child = new ChildComponent();
+			comp.addSubComponent('child', child);
+			comp.element.appendChild(child.element);
+
+			child.foo = 'throw';
+			child.syncState_();
+			assert.strictEqual(fallback, child.element);
+			assert.strictEqual(comp.element, fallback.parentNode);
+		});
+	});
+
+	describe('Custom Elements', function() {
+		var tagCounter = 0;
+
+		beforeEach(function() {
+			if (typeof customElements === 'undefined') {
+				this.skip();
+			}
+		});
+
+		function defineTestElement() {
+			class TestComponent extends Component {
+			}
+			TestComponent.STATE = {
+				count: {
+					validator: core.isNumber,
+					value: 0
+				},
+				disabled: {
+					validator: core.isBoolean,
+					value: false
+				},
+				items: {
+					value: []
+				},
+				userName: {
+					value: 'foo'
+				}
+			};
+			var tagName = 'test-component-' + (tagCounter++);
+			Component.defineCustomElement(TestComponent, tagName);
+			return tagName;
+		}
+
+		it('should render the component inside the custom element when connected', function() {
+			var element = document.createElement(defineTestElement());
+			assert.ok(!element.component);
+
+			document.body.appendChild(element);
+			comp = element.component;
+			assert.ok(comp instanceof Component);
+			assert.ok(comp.inDocument);
+			assert.strictEqual(element, comp.element.parentNode);
+		});
+
+		it('should observe attributes named after state keys', function() {
+			var tagName = defineTestElement();
+			var attributes = customElements.get(tagName).observedAttributes;
+			assert.notStrictEqual(-1, attributes.indexOf('user-name'));
+			assert.notStrictEqual(-1, attributes.indexOf('count'));
+			assert.strictEqual(-1, attributes.indexOf('element'));
+			assert.strictEqual(-1, attributes.indexOf('events'));
+		});
+
+		it('should coerce attribute values according to state validators', function() {
+			var element = document.createElement(defineTestElement());
+			element.setAttribute('count', '3');
+			element.setAttribute('disabled', '');
+			element.setAttribute('items', '[1,2]');
+			element.setAttribute('user-name', 'bar');
+			document.body.appendChild(element);
+			comp = element.component;
+
+			assert.strictEqual(3, comp.count);
+			assert.strictEqual(true, comp.disabled);
+			assert.deepEqual([1, 2], comp.items);
+			assert.strictEqual('bar', comp.userName);
+
+			element.removeAttribute('disabled');
+			element.setAttribute('count', '5');
+			assert.strictEqual(false, comp.disabled);
+			assert.strictEqual(5, comp.count);
+		});
+
+		it('should map custom element properties to the component state', function() {
+			var element = document.createElement(defineTestElement());
+			element.userName = 'bar';
+			assert.strictEqual('bar', element.userName);
+
+			document.body.appendChild(element);
+			comp = element.component;
+			assert.strictEqual('bar', comp.userName);
+
+			element.count = 10;
+			assert.strictEqual(10, comp.count);
+			comp.count = 11;
+			assert.strictEqual(11, element.count);
+		});
+
+		it('should attach and detach the component when connected and disconnected', function() {
+			var element = document.createElement(defineTestElement());
+			document.body.appendChild(element);
+			comp = element.component;
+			var listener = sinon.stub();
+			comp.on('myEvent', listener);
+
+			document.body.removeChild(element);
+			assert.ok(!comp.isDisposed());
+			assert.ok(!comp.inDocument);
+			assert.ok(!comp.element.parentNode);
+
+			element.setAttribute('count', '7');
+			assert.strictEqual(7, comp.count);
+
+			document.body.appendChild(element);
+			assert.strictEqual(comp, element.component);
+			assert.ok(comp.inDocument);
+			assert.strictEqual(element, comp.element.parentNode);
+
+			comp.emit('myEvent');
+			assert.strictEqual(1, listener.callCount);
+		});
+
+		it('should keep the same component when the custom element is moved', function() {
+			var element = document.createElement(defineTestElement());
+			document.body.appendChild(element);
+			comp = element.component;
+
+			var parent = document.createElement('div');
+			document.body.appendChild(parent);
+			parent.appendChild(element);
+			assert.strictEqual(comp, element.component);
+			assert.ok(!comp.isDisposed());
+			assert.ok(comp.inDocument);
+			assert.strictEqual(element, comp.element.parentNode);
+		});
+
+		it('should use attributes changed after properties before the first connection', function() {
+			var element = document.createElement(defineTestElement());
+			element.count = 3;
+			element.setAttribute('count', '7');
+			assert.strictEqual(7, element.count);
+
+			document.body.appendChild(element);
+			comp = element.component;
+			assert.strictEqual(7, comp.count);
+		});
+
+		it('should re-dispatch component events as custom events', function() {
+			var element = document.createElement(defineTestElement());
+			document.body.appendChild(element);
+			comp = element.component;
+
+			var listener = sinon.stub();
+			element.addEventListener('myEvent', listener);
+			element.addEventListener('stateChanged', listener);
+
+			comp.emit('myEvent', {foo: 'bar'});
+			assert.strictEqual(1, listener.callCount);
+			assert.ok(listener.args[0][0] instanceof CustomEvent);
+			assert.deepEqual({foo: 'bar'}, listener.args[0][0].detail);
+
+			comp.emit('myEvent');
+			assert.strictEqual(2, listener.callCount);
+			assert.strictEqual(null, listener.args[1][0].detail);
+
+			comp.emit('myEvent', 'foo', 2);
+			assert.strictEqual(3, listener.callCount);
+			assert.deepEqual(['foo', 2], listener.args[2][0].detail);
+		});
+
+		it('should not re-dispatch events proxied from the dom', function() {
+			var element = document.createElement(defineTestElement());
+			document.body.appendChild(element);
+			comp = element.component;
+			comp.on('click', () => {});
+
+			var listener = sinon.stub();
+			element.addEventListener('click', listener);
+			dom.triggerEvent(comp.element, 'click');
+			assert.strictEqual(1, listener.callCount);
+		});
 	});
 
 	it('should get the renderer instance', function() {
@@ -1,14 +1,18 @@
 'use strict';
 
+import Component from '../src/Component';
 import ComponentRegistry from '../src/ComponentRegistry';
+import IncrementalDomRenderer from '../src/IncrementalDomRenderer';
 
 describe('ComponentRegistry', function() {
 	beforeEach(function() {
 		sinon.stub(console, 'error');
+		sinon.stub(console, 'warn');
 	});
 
 	afterEach(function() {
 		console.error.restore();
+		console.warn.restore();
 	});
 
 	it('should return undefined for getting constructor of unregistered component', function() {
@@ -69,4 +73,525 @@ describe('ComponentRegistry', function() {
 		assert.strictEqual('MyComponent', MyComponent.NAME);
 		assert.strictEqual(MyComponent, ComponentRegistry.getConstructor('MyComponent'));
 	});
+
+	describe('Lazy', function() {
+		it('should load lazily registered component via getConstructorAsync', function(done) {
+			class LazyComponent {
+			}
+			var loader = sinon.stub().returns(Promise.resolve(LazyComponent));
+			ComponentRegistry.registerLazy('LazyComponent', loader);
+			assert.strictEqual(0, loader.callCount);
+
+			ComponentRegistry.getConstructorAsync('LazyComponent').then(function(ctor) {
+				assert.strictEqual(LazyComponent, ctor);
+				assert.strictEqual(1, loader.callCount);
+				assert.strictEqual('LazyComponent', LazyComponent.NAME);
+				assert.strictEqual(LazyComponent, ComponentRegistry.getConstructor('LazyComponent'));
+				done();
+			});
+		});
+
+		it('should use default export of modules returned by lazy loaders', function(done) {
+			class LazyComponent {
+			}
+			ComponentRegistry.registerLazy('LazyModule', () => Promise.resolve({
+				default: LazyComponent
+			}));
+
+			ComponentRegistry.getConstructorAsync('LazyModule').then(function(ctor) {
+				assert.strictEqual(LazyComponent, ctor);
+				done();
+			});
+		});
+
+		it('should share the same load between concurrent calls', function(done) {
+			class LazyComponent {
+			}
+			var loader = sinon.stub().returns(Promise.resolve(LazyComponent));
+			ComponentRegistry.registerLazy('LazyShared', loader);
+
+			var promise1 = ComponentRegistry.getConstructorAsync('LazyShared');
+			var promise2 = ComponentRegistry.getConstructorAsync('LazyShared');
+			assert.strictEqual(promise1, promise2);
+
+			Promise.all([promise1, promise2]).then(function() {
+				return ComponentRegistry.getConstructorAsync('LazyShared');
+			}).then(function(ctor) {
+				assert.strictEqual(LazyComponent, ctor);
+				assert.strictEqual(1, loader.callCount);
+				done();
+			});
+		});
+
+		it('should resolve with already registered constructors', function(done) {
+			class MyComponent {
+			}
+			ComponentRegistry.register(MyComponent, 'MyRegisteredComponent');
+
+			ComponentRegistry.getConstructorAsync('MyRegisteredComponent').then(function(ctor) {
+				assert.strictEqual(MyComponent, ctor);
+				done();
+			});
+		});
+
+		it('should reject when getting constructor of unregistered component', function(done) {
+			ComponentRegistry.getConstructorAsync('UnregisteredComponent').catch(function(error) {
+				assert.ok(error instanceof Error);
+				done();
+			});
+		});
+
+		it('should reject when lazy loader rejects and allow trying again', function(done) {
+			class LazyComponent {
+			}
+			var loaderError = new Error('Network error');
+			var loader = sinon.stub();
+			loader.onFirstCall().returns(Promise.reject(loaderError));
+			loader.onSecondCall().returns(Promise.resolve(LazyComponent));
+			ComponentRegistry.registerLazy('LazyFailing', loader);
+
+			ComponentRegistry.getConstructorAsync('LazyFailing').catch(function(error) {
+				assert.ok(error.message.indexOf('LazyFailing') !== -1);
+				assert.ok(error.message.indexOf('Network error') !== -1);
+				assert.strictEqual(loaderError, error.cause);
+				assert.ok(error.cause.stack);
+				return ComponentRegistry.getConstructorAsync('LazyFailing');
+			}).then(function(ctor) {
+				assert.strictEqual(LazyComponent, ctor);
+				assert.strictEqual(2, loader.callCount);
+				done();
+			});
+		});
+
+		it('should reject when lazy loader throws or does not return a constructor', function(done) {
+			ComponentRegistry.registerLazy('LazyThrowing', function() {
+				throw new Error('Error');
+			});
+			ComponentRegistry.registerLazy('LazyInvalid', () => Promise.resolve({}));
+
+			ComponentRegistry.getConstructorAsync('LazyThrowing').catch(function() {
+				ComponentRegistry.getConstructorAsync('LazyInvalid').catch(function() {
+					done();
+				});
+			});
+		});
+
+		it('should drop lazy loads that finish after the component was unregistered', function(done) {
+			class LazyComponent {
+			}
+			var registry = new ComponentRegistry();
+			registry.registerLazy('LazyUnregistered', () => Promise.resolve(LazyComponent));
+
+			registry.getConstructorAsync('LazyUnregistered').catch(function(error) {
+				assert.ok(error.message.indexOf('unregistered') !== -1);
+				assert.ok(!registry.has('LazyUnregistered'));
+				done();
+			});
+			registry.unregister('LazyUnregistered');
+		});
+
+		it('should log error when getting constructor of lazy component that was not loaded', function() {
+			ComponentRegistry.registerLazy('LazyNotLoaded', () => Promise.resolve(function() {}));
+			assert.ok(!ComponentRegistry.getConstructor('LazyNotLoaded'));
+			assert.strictEqual(1, console.error.callCount);
+			assert.ok(console.error.args[0][0].indexOf('getConstructorAsync') !== -1);
+		});
+	});
+
+	describe('Scoped', function() {
+		it('should create separate registries', function() {
+			class MyComponent {
+			}
+			var registry = new ComponentRegistry();
+			registry.register(MyComponent, 'MyScopedComponent');
+
+			assert.strictEqual(MyComponent, registry.getConstructor('MyScopedComponent'));
+			assert.ok(!ComponentRegistry.getConstructor('MyScopedComponent'));
+		});
+
+		it('should get constructors from parent registry in child registries', function() {
+			class ParentComponent {
+			}
+			class ChildComponent {
+			}
+			var registry = new ComponentRegistry();
+			var child = registry.createChild();
+			registry.register(ParentComponent, 'Modal');
+			child.register(ChildComponent, 'Tooltip');
+
+			assert.strictEqual(ParentComponent, child.getConstructor('Modal'));
+			assert.strictEqual(ChildComponent, child.getConstructor('Tooltip'));
+			assert.ok(!registry.getConstructor('Tooltip'));
+		});
+
+		it('should allow child registries to shadow names from parent registry', function() {
+			class ParentComponent {
+			}
+			class ChildComponent {
+			}
+			var registry = new ComponentRegistry(null, ComponentRegistry.CollisionPolicies.ERROR);
+			var child = registry.createChild();
+			registry.register(ParentComponent, 'Modal');
+			child.register(ChildComponent, 'Modal');
+
+			assert.strictEqual(ChildComponent, child.getConstructor('Modal'));
+			assert.strictEqual(ParentComponent, registry.getConstructor('Modal'));
+		});
+
+		it('should load lazy components from parent registry', function(done) {
+			class LazyComponent {
+			}
+			var registry = new ComponentRegistry();
+			registry.registerLazy('Lazy', () => Promise.resolve(LazyComponent));
+
+			registry.createChild().getConstructorAsync('Lazy').then(function(ctor) {
+				assert.strictEqual(LazyComponent, ctor);
+				assert.strictEqual(LazyComponent, registry.getConstructor('Lazy'));
+				done();
+			});
+		});
+
+		it('should check if name is registered', function() {
+			var registry = new ComponentRegistry();
+			var child = registry.createChild();
+			registry.register(function() {}, 'Registered');
+			registry.registerLazy('Lazy', () => Promise.resolve(function() {}));
+
+			assert.ok(child.has('Registered'));
+			assert.ok(child.has('Lazy'));
+			assert.ok(!child.has('Unregistered'));
+		});
+
+		it('should check if name is registered in the default registry', function() {
+			ComponentRegistry.register(function() {}, 'DefaultRegistered');
+			assert.ok(ComponentRegistry.has('DefaultRegistered'));
+			assert.ok(!ComponentRegistry.has('DefaultUnregistered'));
+		});
+
+		it('should get names registered in registry and its parents', function() {
+			var registry = new ComponentRegistry();
+			var child = registry.createChild();
+			registry.register(function() {}, 'Name1');
+			child.register(function() {}, 'Name1');
+			child.register(function() {}, 'Name2');
+			child.registerLazy('Name3', () => Promise.resolve(function() {}));
+
+			assert.deepEqual(['Name1'], registry.getNames());
+			assert.deepEqual(['Name1', 'Name2', 'Name3'], child.getNames().sort());
+		});
+
+		it('should unregister components', function() {
+			var registry = new ComponentRegistry();
+			var child = registry.createChild();
+			registry.register(function() {}, 'Name1');
+			child.register(function() {}, 'Name1');
+
+			assert.ok(child.unregister('Name1'));
+			assert.ok(child.has('Name1'));
+			assert.ok(!child.unregister('Name1'));
+			assert.ok(registry.unregister('Name1'));
+			assert.ok(!child.has('Name1'));
+		});
+
+		it('should unregister components from the default registry', function() {
+			ComponentRegistry.register(function() {}, 'DefaultToUnregister');
+			assert.ok(ComponentRegistry.unregister('DefaultToUnregister'));
+			assert.ok(!ComponentRegistry.has('DefaultToUnregister'));
+		});
+
+		it('should silently replace on name collision by default', function() {
+			class MyComponent1 {
+			}
+			class MyComponent2 {
+			}
+			var registry = new ComponentRegistry();
+			registry.register(MyComponent1, 'Modal');
+			registry.register(MyComponent2, 'Modal');
+
+			assert.strictEqual(0, console.warn.callCount);
+			assert.strictEqual(MyComponent2, registry.getConstructor('Modal'));
+		});
+
+		it('should warn and replace on name collision with "warn" policy', function() {
+			class MyComponent1 {
+			}
+			class MyComponent2 {
+			}
+			var registry = new ComponentRegistry(null, ComponentRegistry.CollisionPolicies.WARN);
+			registry.register(MyComponent1, 'Modal');
+			registry.register(MyComponent2, 'Modal');
+
+			assert.strictEqual(1, console.warn.callCount);
+			assert.strictEqual(MyComponent2, registry.getConstructor('Modal'));
+		});
+
+		it('should not warn when registering the same constructor again', function() {
+			class MyComponent {
+			}
+			var registry = new ComponentRegistry(null, ComponentRegistry.CollisionPolicies.WARN);
+			registry.register(MyComponent, 'Modal');
+			registry.register(MyComponent, 'Modal');
+
+			assert.strictEqual(0, console.warn.callCount);
+		});
+
+		it('should throw error on name collision with "error" policy', function() {
+			class MyComponent1 {
+			}
+			class MyComponent2 {
+			}
+			var registry = new ComponentRegistry(null, ComponentRegistry.CollisionPolicies.ERROR);
+			registry.register(MyComponent1, 'Modal');
+
+			assert.throws(() => registry.register(MyComponent2, 'Modal'));
+			assert.throws(() => registry.registerLazy('Modal', () => Promise.resolve(MyComponent2)));
+			assert.strictEqual(MyComponent1, registry.getConstructor('Modal'));
+		});
+
+		it('should silently replace on name collision with "replace" policy', function() {
+			class MyComponent1 {
+			}
+			class MyComponent2 {
+			}
+			var registry = new ComponentRegistry();
+			registry.setCollisionPolicy(ComponentRegistry.CollisionPolicies.REPLACE);
+			registry.register(MyComponent1, 'Modal');
+			registry.register(MyComponent2, 'Modal');
+
+			assert.strictEqual(0, console.warn.callCount);
+			assert.strictEqual(MyComponent2, registry.getConstructor('Modal'));
+		});
+
+		it('should use the parent\'s collision policy for child registries by default', function() {
+			var registry = new ComponentRegistry(null, ComponentRegistry.CollisionPolicies.ERROR);
+			var child = registry.createChild();
+			child.register(function() {}, 'Modal');
+			assert.throws(() => child.register(function() {}, 'Modal'));
+		});
+
+		it('should throw error when setting invalid collision policy', function() {
+			var registry = new ComponentRegistry();
+			assert.throws(() => registry.setCollisionPolicy('invalid'));
+		});
+	});
+
+	describe('mountAll', function() {
+		var CarouselComponent;
+		var registry;
+		var root;
+
+		beforeEach(function() {
+			class Carousel extends Component {
+			}
+			Carousel.STATE = {
+				interval: {}
+			};
+			CarouselComponent = Carousel;
+
+			registry = new ComponentRegistry();
+			registry.register(CarouselComponent, 'Carousel');
+
+			root = document.createElement('div');
+			document.body.appendChild(root);
+		});
+
+		afterEach(function() {
+			registry.unmountAll(root);
+			document.body.innerHTML = '';
+		});
+
+		it('should mount components on marked elements', function(done) {
+			root.innerHTML = '<div data-component="Carousel" data-config=\'{"interval": 3000}\'></div>' +
+				'<p><span data-component="Carousel"></span></p>';
+			var markers = root.querySelectorAll('[data-component]');
+
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(2, components.length);
+				assert.ok(components[0] instanceof CarouselComponent);
+				assert.strictEqual(markers[0], components[0].element);
+				assert.strictEqual(3000, components[0].interval);
+				assert.ok(components[0].wasRendered);
+				assert.strictEqual(root, components[0].element.parentNode);
+				assert.strictEqual(markers[1], components[1].element);
+				assert.strictEqual(undefined, components[1].interval);
+				done();
+			});
+		});
+
+		it('should mount components synchronously when they are already registered', function() {
+			root.innerHTML = '<div data-component="Carousel"></div>';
+			sinon.spy(CarouselComponent.prototype, 'created');
+			registry.mountAll(root);
+			assert.strictEqual(1, CarouselComponent.prototype.created.callCount);
+		});
+
+		it('should mount component on the root itself if it is marked', function(done) {
+			root.setAttribute('data-component', 'Carousel');
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(1, components.length);
+				assert.strictEqual(root, components[0].element);
+				done();
+			});
+		});
+
+		it('should mount components from the default registry via the static method', function(done) {
+			ComponentRegistry.register(CarouselComponent, 'DefaultCarousel');
+			root.innerHTML = '<div data-component="DefaultCarousel"></div>';
+			ComponentRegistry.mountAll(root).then(function(components) {
+				assert.strictEqual(1, components.length);
+				ComponentRegistry.unmountAll(root);
+				assert.ok(components[0].isDisposed());
+				done();
+			});
+		});
+
+		it('should not mount the same element twice', function(done) {
+			root.innerHTML = '<div data-component="Carousel"></div>';
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(1, components.length);
+				return registry.mountAll(root);
+			}).then(function(components) {
+				assert.strictEqual(0, components.length);
+				done();
+			});
+		});
+
+		it('should mount lazily registered components after loading them', function(done) {
+			registry.registerLazy('LazyCarousel', () => Promise.resolve(CarouselComponent));
+			root.innerHTML = '<div data-component="LazyCarousel"></div>';
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(1, components.length);
+				assert.ok(components[0] instanceof CarouselComponent);
+				done();
+			});
+		});
+
+		it('should log error and skip markers for components that fail to load', function(done) {
+			registry.registerLazy('FailingCarousel', () => Promise.reject(new Error('Error')));
+			root.innerHTML = '<div data-component="FailingCarousel"></div><div data-component="Carousel"></div>';
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(1, components.length);
+				assert.strictEqual(1, console.error.callCount);
+				done();
+			});
+		});
+
+		it('should log error and skip markers for unregistered components', function(done) {
+			root.innerHTML = '<div data-component="Unregistered"></div>';
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(0, components.length);
+				assert.strictEqual(1, console.error.callCount);
+				done();
+			});
+		});
+
+		it('should log error and skip markers with invalid config', function(done) {
+			root.innerHTML = '<div data-component="Carousel" data-config="{invalid"></div>';
+			registry.mountAll(root).then(function(components) {
+				assert.strictEqual(0, components.length);
+				assert.strictEqual(1, console.error.callCount);
+				done();
+			});
+		});
+
+		it('should dispose mounted components when unmounting root', function(done) {
+			root.innerHTML = '<div data-component="Carousel"></div>';
+			registry.mountAll(root).then(function(components) {
+				registry.unmountAll(root);
+				assert.ok(components[0].isDisposed());
+				done();
+			});
+		});
+
+		it('should mount components for markers added later when observing', function(done) {
+			registry.mountAll(root, true).then(function(components) {
+				assert.strictEqual(0, components.length);
+
+				var marker = document.createElement('div');
+				marker.setAttribute('data-component', 'Carousel');
+				sinon.stub(CarouselComponent.prototype, 'attached', function() {
+					assert.strictEqual(marker, this.element);
+					CarouselComponent.prototype.attached.restore();
+					done();
+				});
+				root.appendChild(marker);
+			});
+		});
+
+		it('should keep mounting added markers when one of them fails when observing', function(done) {
+			class BrokenComponent extends CarouselComponent {
+				created() {
+					throw new Error('Broken');
+				}
+			}
+			registry.register(BrokenComponent, 'Broken');
+			registry.mountAll(root, true).then(function() {
+				var fragment = document.createDocumentFragment();
+				var broken = document.createElement('div');
+				broken.setAttribute('data-component', 'Broken');
+				fragment.appendChild(broken);
+				var marker = document.createElement('div');
+				marker.setAttribute('data-component', 'Carousel');
+				fragment.appendChild(marker);
+				sinon.stub(CarouselComponent.prototype, 'attached', function() {
+					assert.strictEqual(marker, this.element);
+					assert.strictEqual(1, console.error.callCount);
+					assert.ok(console.error.args[0][0].indexOf('Broken') !== -1);
+					CarouselComponent.prototype.attached.restore();
+					done();
+				});
+				root.appendChild(fragment);
+			});
+		});
+
+		it('should dispose components whose elements are removed when observing', function(done) {
+			root.innerHTML = '<div><div data-component="Carousel"></div></div>';
+			registry.mountAll(root, true).then(function(components) {
+				var component = components[0];
+				sinon.stub(component, 'disposed', function() {
+					done();
+				});
+				root.removeChild(root.firstChild);
+			});
+		});
+
+		it('should not dispose components whose markers were replaced by their renderers when observing', function(done) {
+			class Section extends Component {
+				renderTree(h) {
+					return h('section', null, 'content');
+				}
+			}
+			Section.RENDERER = IncrementalDomRenderer;
+			registry.register(Section, 'Section');
+			root.innerHTML = '<div data-component="Section"></div><p></p>';
+
+			registry.mountAll(root, true).then(function(components) {
+				var component = components[0];
+				assert.strictEqual('SECTION', component.element.tagName);
+				assert.strictEqual(root, component.element.parentNode);
+
+				root.removeChild(root.querySelector('p'));
+				setTimeout(function() {
+					assert.ok(!component.isDisposed());
+					assert.strictEqual(component.element, root.firstChild);
+					done();
+				}, 10);
+			});
+		});
+
+		it('should stop observing root when unmounting it', function(done) {
+			registry.mountAll(root, true).then(function() {
+				registry.unmountAll(root);
+				sinon.spy(CarouselComponent.prototype, 'created');
+
+				var marker = document.createElement('div');
+				marker.setAttribute('data-component', 'Carousel');
+				root.appendChild(marker);
+				setTimeout(function() {
+					assert.strictEqual(0, CarouselComponent.prototype.created.callCount);
+					done();
+				}, 10);
+			});
+		});
+	});
 });
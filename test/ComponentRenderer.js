@@ -31,6 +31,20 @@ describe('ComponentRenderer', function() {
 		assert.strictEqual('DIV', component.element.tagName);
 	});
 
+	it('should return simple empty div as the default renderToString implementation', function() {
+		var component = new Component({}, false);
+		renderer = new ComponentRenderer(component);
+		assert.strictEqual('<div></div>', renderer.renderToString());
+	});
+
+	it('should escape element classes in the default renderToString implementation', function() {
+		var component = new Component({
+			elementClasses: '"><script>'
+		}, false);
+		renderer = new ComponentRenderer(component);
+		assert.strictEqual('<div class="&quot;&gt;&lt;script&gt;"></div>', renderer.renderToString());
+	});
+
 	it('should not call the render method after disposed', function() {
 		var component = new Component();
 
@@ -133,6 +147,85 @@ describe('ComponentRenderer', function() {
 		assert.deepEqual(expectedData, renderer.update.args[1][0].changes);
 	});
 
+	it('should not call the update method if "shouldUpdate" returns false', function() {
+		class TestComponent extends Component {
+			shouldUpdate(changes) {
+				return !changes.foo || changes.foo.newVal !== 'skip';
+			}
+		}
+		TestComponent.STATE = {
+			foo: {}
+		};
+
+		var component = new TestComponent();
+		renderer = component.getRenderer();
+		return component.nextUpdate().then(function() {
+			sinon.spy(renderer, 'update');
+			sinon.spy(component, 'shouldUpdate');
+
+			component.foo = 'skip';
+			return component.nextUpdate();
+		}).then(function() {
+			assert.strictEqual(1, component.shouldUpdate.callCount);
+			assert.strictEqual('skip', component.shouldUpdate.args[0][0].foo.newVal);
+			assert.strictEqual(0, renderer.update.callCount);
+
+			component.foo = 'bar';
+			return component.nextUpdate();
+		}).then(function() {
+			assert.strictEqual(1, renderer.update.callCount);
+		});
+	});
+
+	it('should not call the update method if only keys with "render: false" change', function() {
+		class TestComponent extends Component {
+		}
+		TestComponent.STATE = {
+			internal: {
+				render: false
+			},
+			foo: {}
+		};
+
+		var component = new TestComponent();
+		renderer = component.getRenderer();
+		return component.nextUpdate().then(function() {
+			sinon.spy(renderer, 'update');
+			sinon.spy(component, 'shouldUpdate');
+
+			component.internal = 'internal';
+			return component.nextUpdate();
+		}).then(function() {
+			assert.strictEqual(0, renderer.update.callCount);
+			assert.strictEqual(0, component.shouldUpdate.callCount);
+
+			component.internal = 'internal2';
+			component.foo = 'foo';
+			return component.nextUpdate();
+		}).then(function() {
+			assert.strictEqual(1, renderer.update.callCount);
+			assert.ok(renderer.update.args[0][0].changes.internal);
+		});
+	});
+
+	it('should not call the update method synchronously if only keys with "render: false" change', function() {
+		class TestComponent extends Component {
+		}
+		TestComponent.SYNC_UPDATES = true;
+		TestComponent.STATE = {
+			internal: {
+				render: false
+			}
+		};
+
+		var component = new TestComponent();
+		renderer = component.getRenderer();
+		sinon.spy(renderer, 'update');
+
+		component.internal = 'internal';
+		assert.strictEqual(0, renderer.update.callCount);
+	});
+
 	it('should not call update method after disposed', function(done) {
 		var component = new Component();
 		renderer = new ComponentRenderer(component);
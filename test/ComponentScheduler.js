@@ -0,0 +1,244 @@
+'use strict';
+
+import { async } from 'metal';
+import Component from '../src/Component';
+import ComponentScheduler from '../src/ComponentScheduler';
+import IncrementalDomRenderer from '../src/IncrementalDomRenderer';
+
+describe('ComponentScheduler', function() {
+	var comp;
+	var scheduler;
+
+	beforeEach(function() {
+		scheduler = new ComponentScheduler();
+	});
+
+	afterEach(function() {
+		document.body.innerHTML = '';
+		if (comp) {
+			comp.dispose();
+		}
+	});
+
+	it('should use the default scheduler for components', function() {
+		comp = new Component();
+		assert.strictEqual(ComponentScheduler.defaultScheduler, comp.getScheduler());
+	});
+
+	it('should use the scheduler from the SCHEDULER static variable', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		assert.strictEqual(scheduler, comp.getScheduler());
+	});
+
+	it('should use the scheduler of the parent for sub components', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		var child = new Component();
+		comp.addSubComponent('child', child);
+		assert.strictEqual(scheduler, child.getScheduler());
+	});
+
+	it('should throw error when setting invalid mode', function() {
+		assert.throws(() => new ComponentScheduler('invalid'));
+		assert.throws(() => scheduler.setMode('invalid'));
+	});
+
+	it('should flush state changes on the next tick by default', function(done) {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		scheduler.flush();
+
+		var listener = sinon.stub();
+		comp.on('stateChanged', listener);
+		comp.foo = 'bar';
+		assert.ok(scheduler.isScheduled(comp));
+		assert.strictEqual(0, listener.callCount);
+
+		async.nextTick(function() {
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('bar', listener.args[0][0].changes.foo.newVal);
+			assert.ok(!scheduler.isScheduled(comp));
+			done();
+		});
+	});
+
+	it('should flush state changes on a microtask when requested', function() {
+		scheduler.setMode(ComponentScheduler.Modes.MICROTASK);
+		assert.strictEqual(ComponentScheduler.Modes.MICROTASK, scheduler.getMode());
+
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		scheduler.flush();
+
+		var listener = sinon.stub();
+		comp.on('stateChanged', listener);
+		comp.foo = 'bar';
+		assert.strictEqual(0, listener.callCount);
+
+		return Promise.resolve().then(function() {
+			assert.strictEqual(1, listener.callCount);
+			assert.ok(!scheduler.isScheduled(comp));
+		});
+	});
+
+	it('should flush state changes on the next animation frame when requested', function(done) {
+		scheduler.setMode(ComponentScheduler.Modes.ANIMATION_FRAME);
+		assert.strictEqual(ComponentScheduler.Modes.ANIMATION_FRAME, scheduler.getMode());
+
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		scheduler.flush();
+
+		var listener = sinon.stub();
+		comp.on('stateChanged', listener);
+		comp.foo = 'bar';
+		Promise.resolve().then(function() {
+			assert.strictEqual(0, listener.callCount);
+			requestAnimationFrame(function() {
+				assert.strictEqual(1, listener.callCount);
+				done();
+			});
+		});
+	});
+
+	it('should flush state changes synchronously when "flush" is called', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		var listener = sinon.stub();
+		comp.on('stateChanged', listener);
+
+		comp.foo = 'bar';
+		scheduler.flush();
+		assert.strictEqual(1, listener.callCount);
+	});
+
+	it('should flush parents before their sub components', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		var child = new TestComponent();
+		var grandChild = new TestComponent();
+		comp.addSubComponent('child', child);
+		child.addSubComponent('child', grandChild);
+		scheduler.flush();
+
+		var listener = sinon.stub();
+		comp.on('stateChanged', () => listener('parent'));
+		child.on('stateChanged', () => listener('child'));
+		grandChild.on('stateChanged', () => listener('grandChild'));
+
+		grandChild.foo = 'bar';
+		child.foo = 'bar';
+		comp.foo = 'bar';
+		scheduler.flush();
+
+		assert.strictEqual(3, listener.callCount);
+		assert.strictEqual('parent', listener.args[0][0]);
+		assert.strictEqual('child', listener.args[1][0]);
+		assert.strictEqual('grandChild', listener.args[2][0]);
+	});
+
+	it('should update sub components changed by their parent\'s update only once', function() {
+		class Child extends Component {
+			renderTree(h) {
+				return h('span', null, this.label + this.suffix);
+			}
+		}
+		Child.RENDERER = IncrementalDomRenderer;
+		Child.STATE = {
+			label: {},
+			suffix: {
+				value: ''
+			}
+		};
+		class Parent extends Component {
+			renderTree(h) {
+				return h('div', null, h(Child, {ref: 'child', label: this.label}));
+			}
+		}
+		Parent.RENDERER = IncrementalDomRenderer;
+		Parent.SCHEDULER = scheduler;
+		Parent.STATE = {
+			label: {
+				value: 'foo'
+			}
+		};
+
+		comp = new Parent();
+		scheduler.flush();
+		var child = comp.components.child;
+		sinon.spy(child.getRenderer(), 'update');
+
+		child.suffix = '!';
+		comp.label = 'bar';
+		scheduler.flush();
+
+		assert.strictEqual(1, child.getRenderer().update.callCount);
+		var changes = child.getRenderer().update.args[0][0].changes;
+		assert.deepEqual(['label', 'suffix'], Object.keys(changes).sort());
+		assert.strictEqual('bar!', child.element.textContent);
+	});
+
+	it('should not flush components that were disposed', function() {
+		var TestComponent = createComponentClass();
+		var other = new TestComponent();
+		scheduler.flush();
+		sinon.spy(other, 'emitBatchEvent_');
+
+		other.foo = 'bar';
+		other.dispose();
+		assert.doesNotThrow(() => scheduler.flush());
+		assert.strictEqual(0, other.emitBatchEvent_.callCount);
+	});
+
+	it('should keep flushing components after an update throws an error', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		scheduler.flush();
+
+		comp.once('stateChanged', function() {
+			throw new Error();
+		});
+		comp.foo = 'bar';
+		assert.throws(() => scheduler.flush());
+
+		var listener = sinon.stub();
+		comp.on('stateChanged', listener);
+		comp.foo = 'baz';
+		scheduler.flush();
+		assert.strictEqual(1, listener.callCount);
+	});
+
+	it('should defer components that change their own state while flushing to the next flush', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		scheduler.flush();
+
+		var listener = sinon.stub();
+		comp.on('stateChanged', listener);
+		comp.once('stateChanged', function() {
+			comp.foo = 'baz';
+		});
+
+		comp.foo = 'bar';
+		scheduler.flush();
+		assert.strictEqual(1, listener.callCount);
+		assert.ok(scheduler.isScheduled(comp));
+
+		scheduler.flush();
+		assert.strictEqual(2, listener.callCount);
+		assert.strictEqual('baz', listener.args[1][0].changes.foo.newVal);
+	});
+
+	function createComponentClass() {
+		class TestComponent extends Component {
+		}
+		TestComponent.SCHEDULER = scheduler;
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo'
+			}
+		};
+		return TestComponent;
+	}
+});
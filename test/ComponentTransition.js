@@ -0,0 +1,99 @@
+'use strict';
+
+import { dom, features } from 'metal-dom';
+import ComponentTransition from '../src/ComponentTransition';
+
+describe('ComponentTransition', function() {
+	var element;
+
+	beforeEach(function() {
+		element = document.createElement('div');
+		document.body.appendChild(element);
+	});
+
+	afterEach(function() {
+		document.body.innerHTML = '';
+	});
+
+	it('should add the classes for the transition type until the transition ends', function() {
+		var transition = new ComponentTransition(element, 'enter', {
+			enter: 'fade in',
+			leave: 'out'
+		});
+		var promise = transition.start();
+		assert.ok(dom.hasClass(element, 'fade'));
+		assert.ok(dom.hasClass(element, 'in'));
+		assert.ok(!dom.hasClass(element, 'out'));
+
+		dom.triggerEvent(element, features.checkAnimationEventName().transition);
+		return promise.then(function(completed) {
+			assert.ok(completed);
+			assert.ok(!dom.hasClass(element, 'fade'));
+			assert.ok(!dom.hasClass(element, 'in'));
+		});
+	});
+
+	it('should end the transition when the element\'s animation ends', function() {
+		var transition = new ComponentTransition(element, 'leave', {
+			leave: 'out'
+		});
+		var promise = transition.start();
+		dom.triggerEvent(element, features.checkAnimationEventName().animation);
+		return promise.then(function(completed) {
+			assert.ok(completed);
+			assert.ok(!dom.hasClass(element, 'out'));
+		});
+	});
+
+	it('should ignore end events from the element\'s descendants', function() {
+		var child = document.createElement('span');
+		element.appendChild(child);
+		var transition = new ComponentTransition(element, 'enter', {
+			enter: 'in',
+			timeout: 50
+		});
+		transition.start();
+		dom.triggerEvent(child, features.checkAnimationEventName().transition);
+		return Promise.resolve().then(function() {
+			assert.ok(dom.hasClass(element, 'in'));
+			transition.cancel();
+		});
+	});
+
+	it('should end the transition after "duration" milliseconds', function(done) {
+		var transition = new ComponentTransition(element, 'enter', {
+			enter: 'in',
+			duration: 10
+		});
+		transition.start().then(function(completed) {
+			assert.ok(completed);
+			assert.ok(!dom.hasClass(element, 'in'));
+			done();
+		});
+		assert.ok(dom.hasClass(element, 'in'));
+	});
+
+	it('should end the transition after "timeout" milliseconds if no end event is fired', function(done) {
+		var transition = new ComponentTransition(element, 'enter', {
+			enter: 'in',
+			timeout: 10
+		});
+		transition.start().then(function(completed) {
+			assert.ok(completed);
+			assert.ok(!dom.hasClass(element, 'in'));
+			done();
+		});
+	});
+
+	it('should resolve with false and remove the classes when canceled', function() {
+		var transition = new ComponentTransition(element, 'enter', {
+			enter: 'in'
+		});
+		var promise = transition.start();
+		transition.cancel();
+		assert.ok(!dom.hasClass(element, 'in'));
+		return promise.then(function(completed) {
+			assert.ok(!completed);
+		});
+	});
+});
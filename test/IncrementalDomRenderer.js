@@ -0,0 +1,813 @@
+'use strict';
+
+import Component from '../src/Component';
+import IncrementalDomRenderer from '../src/IncrementalDomRenderer';
+
+describe('IncrementalDomRenderer', function() {
+	var comp;
+
+	afterEach(function() {
+		document.body.innerHTML = '';
+		if (comp) {
+			comp.dispose();
+		}
+	});
+
+	it('should render element from the tree returned by "renderTree"', function() {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('div', {class: 'root', title: 'Title'},
+					h('span', null, 'Hello ', this.name),
+					null,
+					false
+				);
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			name: {
+				value: 'World'
+			}
+		};
+
+		comp = new TestComponent();
+		assert.strictEqual('DIV', comp.element.tagName);
+		assert.strictEqual('root', comp.element.className);
+		assert.strictEqual('Title', comp.element.getAttribute('title'));
+		assert.strictEqual('<span>Hello World</span>', comp.element.innerHTML);
+	});
+
+	it('should emit "rendered" event after render and update', function(done) {
+		var TestComponent = createComponentClass();
+		sinon.spy(TestComponent.prototype, 'rendered');
+
+		comp = new TestComponent();
+		assert.strictEqual(1, comp.rendered.callCount);
+		assert.ok(comp.rendered.args[0][0]);
+
+		comp.text = 'bar';
+		comp.once('stateSynced', function() {
+			assert.strictEqual(2, comp.rendered.callCount);
+			assert.ok(!comp.rendered.args[1][0]);
+			done();
+		});
+	});
+
+	it('should throw error if "renderTree" does not return an element node', function() {
+		class TestComponent extends Component {
+			renderTree() {
+				return 'text';
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		assert.throws(function() {
+			comp = new TestComponent();
+		});
+		comp = null;
+	});
+
+	it('should only patch the nodes that changed', function(done) {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent({
+			text: 'foo'
+		});
+
+		var element = comp.element;
+		var span = element.querySelector('span');
+		var input = element.querySelector('input');
+		var textNode = span.firstChild;
+
+		comp.text = 'bar';
+		comp.once('stateSynced', function() {
+			assert.strictEqual(element, comp.element);
+			assert.strictEqual(span, element.querySelector('span'));
+			assert.strictEqual(input, element.querySelector('input'));
+			assert.strictEqual(textNode, span.firstChild);
+			assert.strictEqual('bar', textNode.nodeValue);
+			done();
+		});
+	});
+
+	it('should add, update and remove attributes', function(done) {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent({
+			disabled: true
+		});
+
+		var input = comp.element.querySelector('input');
+		assert.ok(input.hasAttribute('disabled'));
+		assert.strictEqual('foo', input.getAttribute('data-text'));
+
+		comp.disabled = false;
+		comp.text = 'bar';
+		comp.once('stateSynced', function() {
+			assert.ok(!input.hasAttribute('disabled'));
+			assert.strictEqual('bar', input.getAttribute('data-text'));
+			done();
+		});
+	});
+
+	it('should not reset the value of inputs when it has not changed', function(done) {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+
+		var input = comp.element.querySelector('input');
+		assert.strictEqual('foo', input.value);
+
+		var setter = sinon.spy();
+		Object.defineProperty(input, 'value', {
+			get: () => 'foo',
+			set: setter
+		});
+		comp.disabled = true;
+		comp.once('stateSynced', function() {
+			assert.strictEqual(0, setter.callCount);
+			done();
+		});
+	});
+
+	it('should keep the component element classes on the root element', function(done) {
+		var TestComponent = createComponentClass();
+		TestComponent.ELEMENT_CLASSES = 'test';
+		comp = new TestComponent({
+			elementClasses: 'other'
+		});
+		assert.ok(comp.element.classList.contains('root'));
+		assert.ok(comp.element.classList.contains('test'));
+		assert.ok(comp.element.classList.contains('other'));
+
+		comp.rootClass = 'root2';
+		comp.once('stateSynced', function() {
+			assert.ok(comp.element.classList.contains('root2'));
+			assert.ok(!comp.element.classList.contains('root'));
+			assert.ok(comp.element.classList.contains('test'));
+			assert.ok(comp.element.classList.contains('other'));
+			done();
+		});
+	});
+
+	it('should keep the component\'s visibility when the root style changes', function(done) {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('div', {style: 'color:' + this.color});
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			color: {
+				value: 'red'
+			}
+		};
+
+		comp = new TestComponent({
+			visible: false
+		});
+		assert.strictEqual('none', comp.element.style.display);
+
+		comp.color = 'blue';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('blue', comp.element.style.color);
+			assert.strictEqual('none', comp.element.style.display);
+
+			comp.visible = true;
+			comp.once('stateSynced', function() {
+				assert.strictEqual('blue', comp.element.style.color);
+				assert.strictEqual('', comp.element.style.display);
+				done();
+			});
+		});
+	});
+
+	it('should keep reflected element attributes when the root\'s own attributes change', function(done) {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('div', {style: 'color:' + this.color, title: this.color});
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			color: {
+				value: 'red'
+			},
+			label: {
+				value: 'foo'
+			},
+			width: {
+				value: '10px'
+			}
+		};
+		TestComponent.ELEMENT_ATTRIBUTES = {
+			label: 'title',
+			width: 'style.width'
+		};
+
+		comp = new TestComponent();
+		assert.strictEqual('10px', comp.element.style.width);
+		assert.strictEqual('foo', comp.element.getAttribute('title'));
+
+		comp.color = 'blue';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('blue', comp.element.style.color);
+			assert.strictEqual('10px', comp.element.style.width);
+			assert.strictEqual('foo', comp.element.getAttribute('title'));
+
+			comp.setState({
+				color: 'green',
+				label: 'bar',
+				width: '20px'
+			});
+			comp.once('stateSynced', function() {
+				assert.strictEqual('green', comp.element.style.color);
+				assert.strictEqual('20px', comp.element.style.width);
+				assert.strictEqual('bar', comp.element.getAttribute('title'));
+				done();
+			});
+		});
+	});
+
+	it('should reuse keyed nodes when they are reordered', function(done) {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('ul', null, this.items.map(function(item) {
+					return h('li', {key: item}, item);
+				}));
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			items: {
+				value: ['a', 'b', 'c']
+			}
+		};
+
+		comp = new TestComponent();
+		var items = comp.element.querySelectorAll('li');
+
+		comp.items = ['c', 'a', 'd'];
+		comp.once('stateSynced', function() {
+			var newItems = comp.element.querySelectorAll('li');
+			assert.strictEqual(3, newItems.length);
+			assert.strictEqual(items[2], newItems[0]);
+			assert.strictEqual(items[0], newItems[1]);
+			assert.strictEqual('d', newItems[2].textContent);
+			assert.ok(!items[1].parentNode);
+			done();
+		});
+	});
+
+	it('should replace nodes whose tag has changed', function(done) {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('div', null, h(this.tag, null, 'content'));
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			tag: {
+				value: 'span'
+			}
+		};
+
+		comp = new TestComponent();
+		comp.tag = 'b';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('<b>content</b>', comp.element.innerHTML);
+			done();
+		});
+	});
+
+	it('should replace the element if the root tag has changed', function(done) {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h(this.tag, null, 'content');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			tag: {
+				value: 'div'
+			}
+		};
+
+		comp = new TestComponent();
+		comp.tag = 'span';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('SPAN', comp.element.tagName);
+			assert.strictEqual(document.body, comp.element.parentNode);
+			assert.strictEqual(1, document.body.childNodes.length);
+			done();
+		});
+	});
+
+	it('should render into the element given to the component', function() {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('div', {class: 'root'}, 'content');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		var element = document.createElement('div');
+		element.id = 'existing';
+		element.innerHTML = '<span>old</span>';
+		document.body.appendChild(element);
+
+		comp = new TestComponent({
+			element: '#existing'
+		});
+		assert.strictEqual(element, comp.element);
+		assert.strictEqual('root', element.className);
+		assert.strictEqual('content', element.innerHTML);
+		assert.strictEqual(1, document.body.childNodes.length);
+	});
+
+	it('should replace the given element in place if its tag is different', function() {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('span', null, 'content');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		var parent = document.createElement('div');
+		var element = document.createElement('div');
+		parent.appendChild(element);
+		document.body.appendChild(parent);
+
+		comp = new TestComponent({
+			element: element
+		});
+		assert.strictEqual('SPAN', comp.element.tagName);
+		assert.strictEqual(parent, comp.element.parentNode);
+		assert.strictEqual(1, parent.childNodes.length);
+		assert.strictEqual(1, document.body.childNodes.length);
+	});
+
+	describe('Sub Components', function() {
+		var ChildComponent;
+		var ParentComponent;
+
+		beforeEach(function() {
+			class Child extends Component {
+				renderTree(h) {
+					return h('span', {class: 'child'}, this.label);
+				}
+			}
+			Child.RENDERER = IncrementalDomRenderer;
+			Child.STATE = {
+				label: {}
+			};
+			ChildComponent = Child;
+
+			class Parent extends Component {
+				renderTree(h) {
+					return h('div', null,
+						h('b', null, this.title),
+						this.showChild ? h(ChildComponent, {ref: 'child', label: this.label}) : null
+					);
+				}
+			}
+			Parent.RENDERER = IncrementalDomRenderer;
+			Parent.STATE = {
+				label: {
+					value: 'label'
+				},
+				showChild: {
+					value: true
+				},
+				title: {
+					value: 'title'
+				}
+			};
+			ParentComponent = Parent;
+		});
+
+		it('should render sub components', function() {
+			comp = new ParentComponent();
+			var child = comp.components.child;
+			assert.ok(child instanceof ChildComponent);
+			assert.ok(child.wasRendered);
+			assert.strictEqual(comp.element, child.element.parentNode);
+			assert.strictEqual(comp.element.childNodes[1], child.element);
+			assert.strictEqual('label', child.element.textContent);
+		});
+
+		it('should throw error if sub component is rendered without a ref', function() {
+			assert.throws(function() {
+				IncrementalDomRenderer.h(ChildComponent, {});
+			});
+		});
+
+		it('should reuse sub components and update their state', function(done) {
+			comp = new ParentComponent();
+			var child = comp.components.child;
+			var childElement = child.element;
+
+			comp.label = 'newLabel';
+			comp.title = 'newTitle';
+			comp.once('stateSynced', function() {
+				assert.strictEqual(child, comp.components.child);
+				assert.strictEqual('newLabel', child.label);
+				assert.strictEqual(childElement, comp.element.childNodes[1]);
+				child.once('stateSynced', function() {
+					assert.strictEqual('newLabel', childElement.textContent);
+					done();
+				});
+			});
+		});
+
+		it('should dispose sub components that are not rendered anymore', function(done) {
+			comp = new ParentComponent();
+			var child = comp.components.child;
+
+			comp.showChild = false;
+			comp.once('stateSynced', function() {
+				assert.ok(child.isDisposed());
+				assert.ok(!comp.components.child);
+				assert.strictEqual(1, comp.element.childNodes.length);
+				done();
+			});
+		});
+
+		it('should render the fallback from the parent\'s "handleError" when a sub component throws', function() {
+			class BrokenChild extends Component {
+				renderTree() {
+					throw new Error('broken');
+				}
+			}
+			BrokenChild.RENDERER = IncrementalDomRenderer;
+			class Parent extends Component {
+				handleError(error) {
+					return '<em>' + error.message + '</em>';
+				}
+
+				renderTree(h) {
+					return h('div', null, h('b', null, 'title'), h(BrokenChild, {ref: 'child'}));
+				}
+			}
+			Parent.RENDERER = IncrementalDomRenderer;
+
+			comp = new Parent();
+			assert.strictEqual('<b>title</b><em>broken</em>', comp.element.innerHTML);
+			assert.strictEqual(comp.element.childNodes[1], comp.components.child.element);
+		});
+
+		it('should keep slot content distributed by sub components across updates', function(done) {
+			class SlotHost extends Component {
+				renderTree(h) {
+					return h('div', null, h('b', null, this.title), h('div', {'data-slot': ''}));
+				}
+			}
+			SlotHost.RENDERER = IncrementalDomRenderer;
+			SlotHost.STATE = {
+				title: {}
+			};
+			var element = document.createElement('i');
+			class Parent extends Component {
+				renderTree(h) {
+					return h('div', null,
+						h(SlotHost, {slotContent: [element, this.label], ref: 'host', title: this.label})
+					);
+				}
+			}
+			Parent.RENDERER = IncrementalDomRenderer;
+			Parent.STATE = {
+				label: {
+					value: 'label'
+				}
+			};
+
+			comp = new Parent();
+			var host = comp.components.host;
+			var slot = host.element.childNodes[1];
+			assert.strictEqual(element, slot.childNodes[0]);
+			assert.strictEqual('label', slot.childNodes[1].nodeValue);
+
+			comp.label = 'newLabel';
+			comp.once('stateSynced', function() {
+				host.once('stateSynced', function() {
+					assert.strictEqual('newLabel', host.element.childNodes[0].textContent);
+					assert.strictEqual(2, slot.childNodes.length);
+					assert.strictEqual(element, slot.childNodes[0]);
+					assert.strictEqual('newLabel', slot.childNodes[1].nodeValue);
+					done();
+				});
+			});
+		});
+
+		it('should render sub components with a portal into the portal\'s target', function(done) {
+			var container = document.createElement('div');
+			document.body.appendChild(container);
+			class Parent extends Component {
+				renderTree(h) {
+					return h('div', null,
+						h('b', null, 'title'),
+						this.showChild ? h(ChildComponent, {label: this.label, portal: container, ref: 'child'}) : null
+					);
+				}
+			}
+			Parent.RENDERER = IncrementalDomRenderer;
+			Parent.STATE = {
+				label: {
+					value: 'label'
+				},
+				showChild: {
+					value: true
+				}
+			};
+
+			comp = new Parent();
+			var child = comp.components.child;
+			assert.strictEqual(container, child.element.parentNode);
+			assert.strictEqual(2, comp.element.childNodes.length);
+			assert.strictEqual(Node.COMMENT_NODE, comp.element.childNodes[1].nodeType);
+			assert.strictEqual(undefined, child.portal);
+
+			comp.label = 'newLabel';
+			comp.once('stateSynced', function() {
+				child.once('stateSynced', function() {
+					assert.strictEqual('newLabel', child.element.textContent);
+					assert.strictEqual(container, child.element.parentNode);
+					assert.strictEqual(Node.COMMENT_NODE, comp.element.childNodes[1].nodeType);
+
+					comp.showChild = false;
+					comp.once('stateSynced', function() {
+						assert.ok(child.isDisposed());
+						assert.strictEqual(0, container.childNodes.length);
+						assert.strictEqual(1, comp.element.childNodes.length);
+						done();
+					});
+				});
+			});
+		});
+
+		it('should move sub components to the new portal target when it changes', function(done) {
+			var container = document.createElement('div');
+			var container2 = document.createElement('div');
+			document.body.appendChild(container);
+			document.body.appendChild(container2);
+			class Parent extends Component {
+				renderTree(h) {
+					return h('div', null,
+						h('b', null, 'title'),
+						h(ChildComponent, {portal: this.portal, ref: 'child'})
+					);
+				}
+			}
+			Parent.RENDERER = IncrementalDomRenderer;
+			Parent.STATE = {
+				portal: {
+					value: container
+				}
+			};
+
+			comp = new Parent();
+			var child = comp.components.child;
+			assert.strictEqual(container, child.element.parentNode);
+
+			comp.portal = container2;
+			comp.once('stateSynced', function() {
+				assert.strictEqual(child, comp.components.child);
+				assert.strictEqual(container2, child.element.parentNode);
+				assert.strictEqual(0, container.childNodes.length);
+				assert.strictEqual(Node.COMMENT_NODE, comp.element.childNodes[1].nodeType);
+
+				comp.portal = null;
+				comp.once('stateSynced', function() {
+					assert.strictEqual(child, comp.components.child);
+					assert.strictEqual(null, child.portal_);
+					assert.strictEqual(0, container2.childNodes.length);
+					assert.strictEqual(2, comp.element.childNodes.length);
+					assert.strictEqual(child.element, comp.element.childNodes[1]);
+
+					comp.portal = container;
+					comp.once('stateSynced', function() {
+						assert.strictEqual(container, child.element.parentNode);
+						assert.strictEqual(2, comp.element.childNodes.length);
+						assert.strictEqual(Node.COMMENT_NODE, comp.element.childNodes[1].nodeType);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('renderToString', function() {
+		it('should render the tree as a string', function() {
+			var TestComponent = createComponentClass();
+			TestComponent.ELEMENT_CLASSES = 'test';
+			var html = Component.renderToString(TestComponent, {
+				disabled: true,
+				text: '<b>'
+			});
+			assert.strictEqual(
+				'<div class="root test"><span>&lt;b&gt;</span>' +
+				'<input data-text="&lt;b&gt;" disabled value="foo"></div>',
+				html
+			);
+		});
+
+		it('should include the component\'s own root attributes in the string', function() {
+			class TestComponent extends Component {
+				renderTree(h) {
+					return h('div', {style: 'color:red', title: 'foo'});
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				label: {
+					value: 'bar'
+				},
+				width: {
+					value: '10px'
+				}
+			};
+			TestComponent.ELEMENT_ATTRIBUTES = {
+				label: 'title',
+				width: 'style.width'
+			};
+
+			assert.strictEqual(
+				'<div style="color:red;width:10px" title="bar"></div>',
+				Component.renderToString(TestComponent)
+			);
+		});
+
+		it('should render sub components as strings', function() {
+			class Child extends Component {
+				renderTree(h) {
+					return h('span', null, this.label);
+				}
+			}
+			Child.RENDERER = IncrementalDomRenderer;
+			Child.STATE = {
+				label: {}
+			};
+			class Parent extends Component {
+				renderTree(h) {
+					return h('div', null, h(Child, {ref: 'child', label: 'foo'}));
+				}
+			}
+			Parent.RENDERER = IncrementalDomRenderer;
+
+			assert.strictEqual('<div><span>foo</span></div>', Component.renderToString(Parent));
+		});
+
+		it('should render the tree as a string without DOM globals', function() {
+			if (typeof global === 'undefined') {
+				// DOM globals can't be removed in browsers.
+				this.skip();
+			}
+			class Child extends Component {
+				renderTree(h) {
+					return h('span', null, this.label);
+				}
+			}
+			Child.RENDERER = IncrementalDomRenderer;
+			Child.STATE = {
+				label: {}
+			};
+			class Parent extends Component {
+				renderTree(h) {
+					return h('div', {class: 'parent'}, h(Child, {ref: 'child', label: 'foo'}));
+				}
+			}
+			Parent.ELEMENT_CLASSES = 'test';
+			Parent.RENDERER = IncrementalDomRenderer;
+			Parent.STYLES = '.test {}';
+
+			var names = ['document', 'window', 'Element', 'HTMLElement', 'Node'];
+			var globals = names.map(name => global[name]);
+			names.forEach(name => delete global[name]);
+			var html;
+			try {
+				assert.strictEqual('undefined', typeof document);
+				html = Component.renderToString(Parent, {
+					visible: false
+				});
+			} finally {
+				names.forEach((name, index) => global[name] = globals[index]);
+			}
+			assert.ok(html.indexOf('<div class="parent test" ') === 0);
+			assert.ok(html.indexOf('display:none') !== -1);
+			assert.ok(html.indexOf('<span>foo</span></div>') !== -1);
+		});
+	});
+
+	describe('hydrate', function() {
+		beforeEach(function() {
+			sinon.stub(console, 'warn');
+			Component.DEV_MODE = true;
+		});
+
+		afterEach(function() {
+			console.warn.restore();
+			Component.DEV_MODE = false;
+		});
+
+		it('should patch hydrated markup on updates', function(done) {
+			var TestComponent = createComponentClass();
+			var element = document.createElement('div');
+			document.body.appendChild(element);
+			element.innerHTML = Component.renderToString(TestComponent);
+			element = element.firstChild;
+			var span = element.querySelector('span');
+
+			comp = Component.hydrate(TestComponent, element);
+			assert.strictEqual(0, console.warn.callCount);
+
+			comp.text = 'bar';
+			comp.once('stateSynced', function() {
+				assert.strictEqual(element, comp.element);
+				assert.strictEqual(span, element.querySelector('span'));
+				assert.strictEqual('bar', span.textContent);
+				done();
+			});
+		});
+
+		it('should report mismatches between hydrated markup and the tree', function() {
+			var TestComponent = createComponentClass();
+			var element = document.createElement('div');
+			element.innerHTML = '<b>foo</b>';
+			document.body.appendChild(element);
+
+			comp = Component.hydrate(TestComponent, element);
+			assert.ok(console.warn.callCount > 0);
+		});
+
+		it('should split text nodes that were merged in the markup and update them', function(done) {
+			class TestComponent extends Component {
+				renderTree(h) {
+					return h('span', null, 'Count: ', this.count);
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				count: {
+					value: 5
+				}
+			};
+
+			var element = document.createElement('div');
+			element.innerHTML = Component.renderToString(TestComponent);
+			document.body.appendChild(element);
+			element = element.firstChild;
+			assert.strictEqual(1, element.childNodes.length);
+
+			comp = Component.hydrate(TestComponent, element);
+			assert.strictEqual(0, console.warn.callCount);
+			assert.strictEqual(2, element.childNodes.length);
+
+			comp.count = 6;
+			comp.once('stateSynced', function() {
+				assert.strictEqual(element, comp.element);
+				assert.strictEqual('Count: 6', element.textContent);
+				done();
+			});
+		});
+
+		it('should render the tree into the element if the markup has a different structure', function(done) {
+			var TestComponent = createComponentClass();
+			var element = document.createElement('div');
+			element.innerHTML = '<b>foo</b>';
+			document.body.appendChild(element);
+
+			comp = Component.hydrate(TestComponent, element);
+			assert.ok(console.warn.callCount > 0);
+			assert.strictEqual(element, comp.element);
+			assert.strictEqual('SPAN', element.childNodes[0].tagName);
+			assert.strictEqual('INPUT', element.childNodes[1].tagName);
+
+			comp.text = 'bar';
+			comp.once('stateSynced', function() {
+				assert.strictEqual('bar', element.querySelector('span').textContent);
+				done();
+			});
+		});
+	});
+
+	function createComponentClass() {
+		class TestComponent extends Component {
+			renderTree(h) {
+				return h('div', {class: this.rootClass},
+					h('span', null, this.text),
+					h('input', {'data-text': this.text, disabled: this.disabled, value: 'foo'})
+				);
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			disabled: {
+				value: false
+			},
+			rootClass: {
+				value: 'root'
+			},
+			text: {
+				value: 'foo'
+			}
+		};
+		return TestComponent;
+	}
+});
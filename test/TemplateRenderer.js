@@ -0,0 +1,379 @@
+'use strict';
+
+import Component from '../src/Component';
+import TemplateRenderer from '../src/TemplateRenderer';
+
+var html = TemplateRenderer.html;
+
+describe('TemplateRenderer', function() {
+	var comp;
+
+	afterEach(function() {
+		document.body.innerHTML = '';
+		if (comp) {
+			comp.dispose();
+		}
+	});
+
+	it('should render element from the component\'s TEMPLATE', function() {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+
+		assert.strictEqual('DIV', comp.element.tagName);
+		assert.strictEqual('root', comp.element.className);
+		assert.strictEqual('foo', comp.element.querySelector('.title').textContent);
+		assert.strictEqual('bar', comp.element.querySelector('.content').textContent);
+		assert.strictEqual('item item-1', comp.element.querySelector('.item').className);
+	});
+
+	it('should emit "rendered" event after render and update', function(done) {
+		var TestComponent = createComponentClass();
+		sinon.spy(TestComponent.prototype, 'rendered');
+
+		comp = new TestComponent();
+		assert.strictEqual(1, comp.rendered.callCount);
+		assert.ok(comp.rendered.args[0][0]);
+
+		comp.title = 'newTitle';
+		comp.once('stateSynced', function() {
+			assert.strictEqual(2, comp.rendered.callCount);
+			assert.ok(!comp.rendered.args[1][0]);
+			done();
+		});
+	});
+
+	it('should throw error if component has no TEMPLATE function', function() {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+
+		assert.throws(() => new TestComponent());
+	});
+
+	it('should throw error if TEMPLATE does not return a tagged template', function() {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.TEMPLATE = () => '<div></div>';
+
+		assert.throws(() => new TestComponent());
+	});
+
+	it('should throw error if template has more than one root element', function() {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.TEMPLATE = () => html`<div></div><div></div>`;
+
+		assert.throws(() => new TestComponent());
+	});
+
+	it('should throw error if template has holes in attribute names', function() {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.TEMPLATE = () => html`<div ${'disabled'}></div>`;
+
+		assert.throws(() => new TestComponent());
+	});
+
+	it('should only rewrite the text nodes of holes that depend on changed keys', function(done) {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+
+		var titleNode = comp.element.querySelector('.title').firstChild;
+		var contentNode = comp.element.querySelector('.content').firstChild;
+		var titleSpy = sinon.spy();
+		var contentSpy = sinon.spy();
+		trackNodeValue(titleNode, titleSpy);
+		trackNodeValue(contentNode, contentSpy);
+
+		comp.content = 'newContent';
+		comp.once('stateSynced', function() {
+			assert.strictEqual(0, titleSpy.callCount);
+			assert.strictEqual(1, contentSpy.callCount);
+			assert.strictEqual('newContent', contentSpy.args[0][0]);
+
+			comp.title = 'newTitle';
+			comp.once('stateSynced', function() {
+				assert.strictEqual(1, titleSpy.callCount);
+				assert.strictEqual('newTitle', titleSpy.args[0][0]);
+				assert.strictEqual(1, contentSpy.callCount);
+				done();
+			});
+		});
+	});
+
+	it('should not rerun TEMPLATE when only keys used by function holes change', function(done) {
+		var TestComponent = createComponentClass();
+		sinon.spy(TestComponent, 'TEMPLATE');
+		comp = new TestComponent();
+		assert.strictEqual(1, TestComponent.TEMPLATE.callCount);
+
+		comp.content = 'newContent';
+		comp.once('stateSynced', function() {
+			assert.strictEqual(1, TestComponent.TEMPLATE.callCount);
+			done();
+		});
+	});
+
+	it('should update attributes that depend on changed keys', function(done) {
+		var TestComponent = createComponentClass();
+		comp = new TestComponent();
+		var item = comp.element.querySelector('.item');
+
+		comp.index = 2;
+		comp.once('stateSynced', function() {
+			assert.strictEqual(item, comp.element.querySelector('.item'));
+			assert.strictEqual('item item-2', item.className);
+			done();
+		});
+	});
+
+	it('should remove attributes made of a single hole when value is false', function(done) {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.STATE = {
+			disabled: {
+				value: true
+			}
+		};
+		TestComponent.TEMPLATE = state => html`<div><button disabled="${state.disabled}"></button></div>`;
+
+		comp = new TestComponent();
+		var button = comp.element.querySelector('button');
+		assert.ok(button.hasAttribute('disabled'));
+
+		comp.disabled = false;
+		comp.once('stateSynced', function() {
+			assert.ok(!button.hasAttribute('disabled'));
+			done();
+		});
+	});
+
+	it('should keep the component element classes when patching the root class', function(done) {
+		var TestComponent = createComponentClass();
+		TestComponent.ELEMENT_CLASSES = 'test';
+		comp = new TestComponent({
+			elementClasses: 'other'
+		});
+		assert.strictEqual('root test other', comp.element.className);
+
+		comp.rootClass = 'root2';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('root2 test other', comp.element.className);
+			done();
+		});
+	});
+
+	it('should evaluate all holes again when update is forced', function() {
+		var external = 'foo';
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.TEMPLATE = () => html`<div>${() => external}</div>`;
+
+		comp = new TestComponent();
+		external = 'bar';
+		comp.forceUpdate();
+		assert.strictEqual('bar', comp.element.textContent);
+	});
+
+	it('should replace element when TEMPLATE returns a different template', function(done) {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.STATE = {
+			bold: {
+				value: false
+			}
+		};
+		TestComponent.TEMPLATE = state => state.bold ? html`<b>text</b>` : html`<span>text</span>`;
+
+		comp = new TestComponent();
+		assert.strictEqual('SPAN', comp.element.tagName);
+
+		comp.bold = true;
+		comp.once('stateSynced', function() {
+			assert.strictEqual('B', comp.element.tagName);
+			assert.strictEqual(document.body, comp.element.parentNode);
+			assert.strictEqual(1, document.body.childNodes.length);
+			done();
+		});
+	});
+
+	it('should render into the element given to the component', function(done) {
+		var TestComponent = createComponentClass();
+		var element = document.createElement('div');
+		element.id = 'existing';
+		element.innerHTML = '<span>old</span>';
+		document.body.appendChild(element);
+
+		comp = new TestComponent({
+			element: '#existing'
+		});
+		assert.strictEqual(element, comp.element);
+		assert.strictEqual('existing', element.id);
+		assert.strictEqual('root', element.className);
+		assert.strictEqual('foo', element.querySelector('.title').textContent);
+		assert.strictEqual(1, document.body.childNodes.length);
+
+		comp.rootClass = 'root2';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('root2', element.className);
+			done();
+		});
+	});
+
+	it('should replace the given element in place if its tag is different', function() {
+		var TestComponent = createComponentClass();
+		var parent = document.createElement('div');
+		var element = document.createElement('section');
+		parent.appendChild(element);
+		parent.appendChild(document.createElement('footer'));
+		document.body.appendChild(parent);
+
+		comp = new TestComponent({
+			element: element
+		});
+		assert.strictEqual('DIV', comp.element.tagName);
+		assert.strictEqual(comp.element, parent.firstChild);
+		assert.strictEqual(2, parent.childNodes.length);
+		assert.strictEqual(1, document.body.childNodes.length);
+	});
+
+	it('should render the template as a string', function() {
+		var TestComponent = createComponentClass();
+		TestComponent.ELEMENT_CLASSES = 'test';
+		var str = Component.renderToString(TestComponent, {
+			content: '<b>',
+			visible: false
+		});
+		assert.strictEqual(
+			'<div class="root test" style="display:none"><span class="title">foo</span>' +
+			'<span class="content">&lt;b&gt;</span><span class="item item-1"></span></div>',
+			str
+		);
+	});
+
+	it('should include the component\'s own root attributes in the string', function() {
+		var TestComponent = createComponentClass();
+		TestComponent.STATE.label = {
+			value: 'Label'
+		};
+		TestComponent.STATE.width = {
+			value: '10px'
+		};
+		TestComponent.ELEMENT_ATTRIBUTES = {
+			label: 'title',
+			rootClass: 'data-root-class',
+			width: 'style.backgroundSize'
+		};
+		var str = Component.renderToString(TestComponent, {
+			visible: false
+		});
+		assert.strictEqual(
+			'<div class="root" title="Label" data-root-class="root" ' +
+			'style="background-size:10px;display:none">',
+			str.substring(0, str.indexOf('>') + 1)
+		);
+	});
+
+	it('should hydrate existing markup and update it in place', function(done) {
+		var TestComponent = createComponentClass();
+		var element = document.createElement('div');
+		element.innerHTML = Component.renderToString(TestComponent);
+		document.body.appendChild(element);
+		var root = element.firstChild;
+		var title = root.querySelector('.title');
+
+		comp = Component.hydrate(TestComponent, root);
+		assert.strictEqual(root, comp.element);
+
+		comp.title = 'newTitle';
+		comp.content = 'newContent';
+		comp.index = 2;
+		comp.once('stateSynced', function() {
+			assert.strictEqual(root, comp.element);
+			assert.strictEqual(title, root.querySelector('.title'));
+			assert.strictEqual('newTitle', title.textContent);
+			assert.strictEqual('newContent', root.querySelector('.content').textContent);
+			assert.strictEqual('item item-2', root.querySelector('.item').className);
+			done();
+		});
+	});
+
+	it('should hydrate text holes that share a text node in the markup', function(done) {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.STATE = {
+			first: {
+				value: 'foo'
+			},
+			last: {
+				value: 'bar'
+			}
+		};
+		TestComponent.TEMPLATE = state => html`<div>${state.first} ${state.last}</div>`;
+
+		var element = document.createElement('div');
+		element.innerHTML = Component.renderToString(TestComponent);
+		comp = Component.hydrate(TestComponent, element.firstChild);
+		assert.strictEqual('foo bar', comp.element.textContent);
+
+		comp.last = 'baz';
+		comp.once('stateSynced', function() {
+			assert.strictEqual('foo baz', comp.element.textContent);
+			done();
+		});
+	});
+
+	it('should render element again when hydrating markup that does not match', function() {
+		var TestComponent = createComponentClass();
+		var element = document.createElement('div');
+		element.innerHTML = '<p>other</p>';
+		var prevElement = element.firstChild;
+
+		comp = Component.hydrate(TestComponent, prevElement);
+		assert.notStrictEqual(prevElement, comp.element);
+		assert.strictEqual(element, comp.element.parentNode);
+		assert.strictEqual('foo', comp.element.querySelector('.title').textContent);
+	});
+
+	function createComponentClass() {
+		class TestComponent extends Component {
+		}
+		TestComponent.RENDERER = TemplateRenderer;
+		TestComponent.STATE = {
+			content: {
+				value: 'bar'
+			},
+			index: {
+				value: 1
+			},
+			rootClass: {
+				value: 'root'
+			},
+			title: {
+				value: 'foo'
+			}
+		};
+		TestComponent.TEMPLATE = function(state) {
+			return html`<div class="${state.rootClass}"><span class="title">${state.title}</span><span class="content">${state => state.content}</span><span class="item item-${state.index}"></span></div>`;
+		};
+		return TestComponent;
+	}
+
+	function trackNodeValue(node, spy) {
+		var value = node.nodeValue;
+		Object.defineProperty(node, 'nodeValue', {
+			get: () => value,
+			set: function(val) {
+				value = val;
+				spy(val);
+			}
+		});
+	}
+});